@@ -0,0 +1,124 @@
+// scripts/bench.js  (ESM)
+// Замер времени и памяти разбора на синтетических выписках: npm run bench [-- <строк> ...]
+// (по умолчанию 10000 50000 100000). Каждый размер разбирается в отдельном процессе,
+// чтобы пиковая память (maxRSS) не смешивалась между прогонами: чтение книги, разбор листов,
+// аналитика и потоковая запись JSON-ответа — как в POST /api/statement/parse.
+// По столбцу «RSS / файл» выбирают UPLOAD_MAX_FILE_MB под память инстанса.
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import XLSX from 'xlsx';
+import { buildParseResult, openStatement, parseWorkbook } from '../utils/statement.js';
+import { resolveRegion } from '../utils/locale.js';
+import { writeJson } from '../utils/stream.js';
+
+const DEFAULT_SIZES = [10000, 50000, 100000];
+const BIFF8_MAX_ROWS = 65536;
+const RUN_TIMEOUT_MS = 10 * 60 * 1000;
+const MB = 1024 * 1024;
+
+const MERCHANTS = ['Globus', 'Народный', 'Фрунзе', 'Beeline', 'O!', 'Яндекс Go', 'Аптека Неман', 'Кулинария', 'АЗС Газпром', 'Кафе Навват'];
+
+const pad = n => String(n).padStart(2, '0');
+
+// выписка MBank: шапка с входящим остатком, заголовок, rows операций за год (~rows/365 в день)
+function generateStatement(file, rows) {
+  const perDay = Math.ceil(rows / 365);
+  const aoa = [
+    ['ОАО "MBank"'],
+    ['Выписка по счету'],
+    [],
+    ['Входящий остаток', '100 000,00'],
+    ['Date', 'Time', 'Operation', 'Recipient/Payer', 'Debit', 'Credit', 'Balance']
+  ];
+  for (let i = 0; i < rows; i++) {
+    const d = new Date(Date.UTC(2024, 0, 1 + Math.floor(i / perDay)));
+    const date = `${pad(d.getUTCDate())}.${pad(d.getUTCMonth() + 1)}.${d.getUTCFullYear()}`;
+    const minutes = Math.floor((i % perDay) * 1440 / perDay);
+    const time = `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+    if (i % perDay === 0 && d.getUTCDate() === 10) {
+      aoa.push([date, time, 'Зарплата', 'ОсОО Рога и копыта', '150 000,00', '', '']);
+    } else {
+      const merchant = MERCHANTS[i % MERCHANTS.length];
+      aoa.push([date, time, `Покупка ${merchant}`, `${merchant}\\Бишкек 4169****${1000 + (i % 9000)}`, '', `${100 + (i % 97) * 15},50`, '']);
+    }
+  }
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(aoa), 'KGS');
+  // BIFF8 вмещает 65536 строк — больше пишем xlsx (выписки принимаются и как переименованный xlsx)
+  XLSX.writeFile(wb, file, { bookType: aoa.length <= BIFF8_MAX_ROWS ? 'biff8' : 'xlsx' });
+}
+
+// один прогон в дочернем процессе → JSON-строка с замерами последней строкой stdout
+async function runOnce(file) {
+  const t0 = performance.now();
+  const { wb, detected, profile, sheets } = openStatement(fs.readFileSync(file));
+  const { zone, locale } = resolveRegion(profile, {});
+  const t1 = performance.now();
+  const { accounts, skippedSheets } = parseWorkbook(wb, { profile, zone, locale, sheets, release: true });
+  const t2 = performance.now();
+  const result = buildParseResult({
+    accounts, skippedSheets, detected, zone, locale,
+    file: { name: path.basename(file), size: fs.statSync(file).size },
+    requestId: 'bench',
+    parseMs: Math.round(t2 - t0),
+    groupBy: 'month',
+    forecastDays: 30
+  });
+  const t3 = performance.now();
+  const out = fs.createWriteStream(os.devNull);
+  await writeJson(out, result);
+  out.end();
+  const t4 = performance.now();
+  process.stdout.write('\n' + JSON.stringify({
+    readMs: t1 - t0,
+    parseMs: t2 - t1,
+    analyticsMs: t3 - t2,
+    writeMs: t4 - t3,
+    maxRssMb: process.resourceUsage().maxRSS / 1024    // maxRSS — в килобайтах
+  }));
+}
+
+function table(rows) {
+  const header = ['строк', 'файл, MB', 'чтение, мс', 'разбор, мс', 'аналитика, мс', 'JSON, мс', 'пик RSS, MB', 'RSS / файл'];
+  const lines = [header, ...rows.map(r => [
+    r.rows, r.fileMb.toFixed(1), r.readMs.toFixed(0), r.parseMs.toFixed(0), r.analyticsMs.toFixed(0),
+    r.writeMs.toFixed(0), r.maxRssMb.toFixed(0), (r.maxRssMb / r.fileMb).toFixed(1)
+  ].map(String))];
+  const widths = header.map((_, i) => Math.max(...lines.map(l => l[i].length)));
+  return lines.map(l => l.map((c, i) => c.padStart(widths[i])).join('  ')).join('\n');
+}
+
+async function main() {
+  if (process.argv[2] === '--run') return runOnce(process.argv[3]);
+
+  const sizes = process.argv.slice(2).map(Number);
+  if (sizes.some(n => !Number.isInteger(n) || n <= 0)) {
+    console.error('usage: node scripts/bench.js [rows ...]');
+    process.exit(1);
+  }
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xls-bench-'));
+  const results = [];
+  try {
+    for (const rows of sizes.length ? sizes : DEFAULT_SIZES) {
+      const file = path.join(dir, `statement-${rows}.xls`);
+      generateStatement(file, rows);
+      const stdout = execFileSync(process.execPath, [fileURLToPath(import.meta.url), '--run', file], {
+        encoding: 'utf8',
+        timeout: RUN_TIMEOUT_MS
+      });
+      results.push({ rows, fileMb: fs.statSync(file).size / MB, ...JSON.parse(stdout.trim().split('\n').pop()) });
+      fs.unlinkSync(file);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log(table(results));
+}
+
+main().catch(e => {
+  console.error(e);
+  process.exit(1);
+});
@@ -8,8 +8,29 @@ import { DateTime } from 'luxon';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs/promises';
 import os from 'os';
+import path from 'path';
 import helmet from 'helmet';
-import { buildCumulativeTimeline, attachDailyCumulativeClose } from './utils/cumulative.js';
+import { loadProfiles } from './utils/banks.js';
+import { attachAnalytics, buildParseResult, locateTable, openStatement, parseWorkbook, selectSheets, summarizeAccounts } from './utils/statement.js';
+import { normalizeCurrency, resolveRates } from './utils/fx.js';
+import { DEFAULT_ZONE, resolveLocale, resolveRegion, resolveZone } from './utils/locale.js';
+import { detectRecurring } from './utils/recurring.js';
+import { DEFAULT_THRESHOLDS, thresholdsFromQuery } from './utils/anomalies.js';
+import { GROUP_BY, WEEK_START_OPTIONS, resolveWeekStart } from './utils/periods.js';
+import { resolveRules } from './utils/categorize.js';
+import { EXPORT_FORMATS, writeExport } from './utils/export.js';
+import { mergeStatements } from './utils/batch.js';
+import { assertStrict, mergeDiagnostics } from './utils/diagnostics.js';
+import { createJobQueue } from './utils/jobs.js';
+import { buildStoredAccounts, createStore, filterTransactions } from './utils/store.js';
+import { chronological } from './utils/cumulative.js';
+import { RATE_WINDOW_MS, createKeyRegistry } from './utils/apiKeys.js';
+import { formatLine, log } from './utils/logger.js';
+import { CONTENT_TYPE as METRICS_CONTENT_TYPE, createRegistry } from './utils/metrics.js';
+import { contentDisposition, decodeUploadName, safeFilename } from './utils/filename.js';
+import { CONVERT_INPUT_RE, CONVERT_TARGETS, codepageOf, readInput, convertWorkbook } from './utils/convert.js';
+import { writeJson } from './utils/stream.js';
+import { UPLOAD_LIMITS } from './utils/upload.js';
 
 const app = express();
 app.use(helmet({ crossOriginResourcePolicy: false }));
@@ -38,26 +59,192 @@ app.use((req, res, next) => {
   next();
 });
 
-// morgan с requestId
-morgan.token('rid', req => req.id);
-app.use(morgan((process.env.NODE_ENV === 'production' ? 'combined' : 'dev') + ' :rid'));
-
-app.use(rateLimit({ windowMs: 15 * 60 * 1000, max: 60 })); // 60 запросов / 15 мин
+const uploadedFiles = req => [...new Set([req.file, ...Object.values(req.files || {}).flat()].filter(Boolean))];
+
+// шаблон маршрута для меток метрик (не сырой URL — иначе id задач раздувают число рядов)
+const routeOf = req => (req.route ? req.baseUrl + req.route.path : 'unmatched');
+
+// пробы и сбор метрик не пишем в журнал запросов
+const PROBE_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+// журнал запросов (morgan): JSON-строка с requestId, см. utils/logger.js
+app.use(morgan((tokens, req, res) => formatLine('info', 'http', {
+  rid: req.id,
+  method: req.method,
+  url: tokens.url(req, res),
+  route: routeOf(req),
+  status: Number(tokens.status(req, res)) || null,
+  durationMs: Number(tokens['response-time'](req, res)) || null,
+  bytesOut: Number(tokens.res(req, res, 'content-length')) || 0,
+  ip: tokens['remote-addr'](req, res),
+  key: req.apiKey?.id
+}), { skip: req => PROBE_PATHS.includes(req.path) }));
+
+// === метрики Prometheus (/metrics) ===
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const SIZE_BUCKETS = [1024, 10240, 102400, 512000, 1048576, 5242880, 10485760, 20971520, 52428800, 104857600];
+
+const metrics = createRegistry({ prefix: 'xls_converter_' });
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route'], DURATION_BUCKETS);
+const uploadSize = metrics.histogram('upload_file_size_bytes', 'Uploaded file sizes by route', ['route'], SIZE_BUCKETS);
+const parseDuration = metrics.histogram('parse_duration_seconds', 'Statement parse duration (sync, batch file, background job)', ['mode'], DURATION_BUCKETS);
+const rowsParsed = metrics.counter('rows_parsed_total', 'Statement table rows parsed', ['mode', 'bank']);
+const rowsSkipped = metrics.counter('rows_skipped_total', 'Statement rows skipped by the parser, by reason', ['mode', 'reason']);
+const errorsTotal = metrics.counter('errors_total', 'Errors by code (HTTP error responses and failed jobs)', ['code', 'source']);
+metrics.gauge('jobs', 'Background parse jobs by state', ['state'], () => {
+  const { queued, running } = jobs.stats();
+  return [{ labels: { state: 'queued' }, value: queued }, { labels: { state: 'running' }, value: running }];
+});
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size', [], () => process.memoryUsage().rss);
+metrics.gauge('process_uptime_seconds', 'Process uptime', [], () => process.uptime());
+
+// учёт разбора: mode — sync | batch | job; skipped — { причина: число строк } (diagnostics.counts)
+function observeParse(mode, { bank, rows, parseMs, skipped = {} }) {
+  parseDuration.observe({ mode }, parseMs / 1000);
+  rowsParsed.inc({ mode, bank }, rows);
+  for (const [reason, n] of Object.entries(skipped)) rowsSkipped.inc({ mode, reason }, n);
+}
 
-// === опциональная авторизация по токену ===
 app.use((req, res, next) => {
-  const expected = process.env.API_TOKEN;
-  if (!expected) return next();
-  if (req.header('x-api-token') === expected) return next();
-  return res.status(401).json({ error: 'Unauthorized', requestId: req.id });
+  // коды ошибок — из тела JSON-ответа ({ error: 'PARSE_FAILED', ... })
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body?.error) errorsTotal.inc({ code: body.error, source: 'http' });
+    return json(body);
+  };
+  res.on('finish', () => {
+    const route = routeOf(req);
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, (Date.now() - req._startMs) / 1000);
+    for (const f of uploadedFiles(req)) uploadSize.observe({ route }, f.size);
+  });
+  next();
+});
+
+app.get('/metrics', (_req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+// готовность: временный каталог доступен на запись, очередь задач исправна,
+// каталог хранилища (если включено) доступен на запись
+async function dirWritable(dir) {
+  const probe = path.join(dir, `.readyz-${process.pid}`);
+  try {
+    await fs.writeFile(probe, '');
+    await fs.unlink(probe);
+    return { ok: true, dir };
+  } catch (e) {
+    return { ok: false, dir, error: e.code || e.message };
+  }
+}
+
+app.get('/readyz', async (req, res) => {
+  const checks = { tmp: await dirWritable(os.tmpdir()), jobs: await jobs.health() };
+  if (store) checks.store = await dirWritable(path.dirname(path.resolve(process.env.STORE_PATH)));
+  const ready = Object.values(checks).every(c => c.ok);
+  return res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks, requestId: req.id });
 });
 
-// --- загрузка файлов в память ---
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 20 * 1024 * 1024 } // 20 MB
+// === авторизация: реестр ключей (data/api-keys.json / API_KEYS_PATH) или один общий API_TOKEN ===
+const keys = createKeyRegistry();
+
+// область доступа маршрута: convert | parse | export | admin
+function scopeOf(req) {
+  if (req.path.startsWith('/convert/')) return 'convert';
+  if (req.path.startsWith('/api/admin/')) return 'admin';
+  if (req.path.startsWith('/api/statement/parse') && String(req.query?.format || 'json').toLowerCase() !== 'json') return 'export';
+  if (req.path.startsWith('/api/')) return 'parse';
+  return null;
+}
+
+if (keys) {
+  // неудачные попытки авторизации — по IP (подбор ключей)
+  app.use(rateLimit({
+    windowMs: RATE_WINDOW_MS,
+    max: 60,
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (_req, res) => res.statusCode !== 401
+  }));
+  app.use((req, res, next) => {
+    const key = keys.authenticate(req.header('x-api-token'));
+    if (!key) return res.status(401).json({ error: 'Unauthorized', requestId: req.id });
+    req.apiKey = key;
+    const scope = scopeOf(req);
+    res.on('finish', () => keys.record(key, {
+      scope,
+      status: res.statusCode,
+      bytesIn: uploadedFiles(req).reduce((s, f) => s + f.size, 0)
+    }));
+    if (scope && !key.scopes.includes(scope)) {
+      return res.status(403).json({ error: 'FORBIDDEN', scope, requestId: req.id });
+    }
+    next();
+  });
+  // лимит запросов — свой у каждого ключа
+  app.use(rateLimit({
+    windowMs: RATE_WINDOW_MS,
+    max: req => req.apiKey.rateLimit,
+    keyGenerator: req => `key:${req.apiKey.id}`
+  }));
+} else {
+  app.use(rateLimit({ windowMs: 15 * 60 * 1000, max: 60 })); // 60 запросов / 15 мин
+
+  // === опциональная авторизация по токену ===
+  app.use((req, res, next) => {
+    const expected = process.env.API_TOKEN;
+    if (!expected) return next();
+    if (req.header('x-api-token') === expected) return next();
+    return res.status(401).json({ error: 'Unauthorized', requestId: req.id });
+  });
+}
+
+// исходное имя загрузки: UTF-8 вместо latin1 от multer, без каталогов и управляющих символов
+function normalizeUploadName(file) {
+  file.originalname = safeFilename(decodeUploadName(file.originalname), 'upload');
+}
+
+// === загрузки — во временные файлы в /tmp (не в память процесса);
+// имя временного файла не зависит от присланного (только допустимое расширение)
+const tmpStorage = multer.diskStorage({
+  destination: (_req, _file, cb) => cb(null, os.tmpdir()),
+  filename: (_req, file, cb) => {
+    const ext = (file.originalname.match(CONVERT_INPUT_RE) || [''])[0].toLowerCase();
+    cb(null, `${Date.now()}_${uuidv4()}${ext}`);
+  }
 });
 
+// multer с лимитом файла: maxFileMb ключа, если задан (может и поднять, и снизить лимит),
+// иначе лимит маршрута defaultBytes; use(multer) → middleware (single/fields).
+// Экземпляр multer — на каждый встретившийся лимит; лимит запроса — в req.uploadLimitBytes (для 413)
+function limitedUpload(options, defaultBytes, use) {
+  const byLimit = new Map();
+  return (req, res, next) => {
+    // целое число байт: с дробным лимитом busboy обрезает файл без ошибки LIMIT_FILE_SIZE
+    const fileSize = Math.round(req.apiKey?.maxFileMb ? req.apiKey.maxFileMb * 1024 * 1024 : defaultBytes);
+    if (!byLimit.has(fileSize)) byLimit.set(fileSize, use(multer({ ...options, limits: { fileSize } })));
+    req.uploadLimitBytes = fileSize;
+    return byLimit.get(fileSize)(req, res, next);
+  };
+}
+
+// UPLOAD_MAX_FILE_MB — лимит файла синхронных маршрутов (по умолчанию 20 MB; замеры памяти — npm run bench)
+const upload = limitedUpload({
+  storage: tmpStorage,
+  fileFilter: (_req, file, cb) => {
+    normalizeUploadName(file);
+    cb(null, true);
+  }
+}, UPLOAD_LIMITS.fileBytes, m => m.single('file'));
+
+// ошибка после начала потокового ответа: статус уже ушёл — обрываем соединение,
+// чтобы клиент не принял обрезанный ответ за целый
+function abortStream(res, event, rid, e) {
+  if (e?.message === 'STREAM_CLOSED') log.warn(event, { rid, code: e.message });
+  else log.error(event, { rid }, e);
+  res.destroy();
+}
+
 // --- health & version ---
 app.get('/healthz', (_req, res) => res.status(200).send('ok-v2'));
 app.get('/version', (_req, res) => {
@@ -69,254 +256,240 @@ app.get('/version', (_req, res) => {
   });
 });
 
-// --- вспомогательные функции ---
-function parseKgsNumber(val) {
-  if (typeof val !== 'string' && typeof val !== 'number') return NaN;
-  let s = String(val).trim();
-  if (!s) return NaN;
-  s = s.replace(/\s/g, '');
-  const commaAsDecimal = /,\d{1,2}$/.test(s);
-  if (commaAsDecimal) s = s.replace(/\./g, '').replace(',', '.');
-  return Number(s);
-}
-
-function tryParseDate(d) {
-  if (!d) return null;
-  if (d instanceof Date && !isNaN(d)) return d;
-  const s = String(d).trim();
-
-  // Excel serial?
-  const n = Number(s);
-  if (!isNaN(n) && n > 25569 && n < 60000) {
-    const epoch = new Date(Date.UTC(1899, 11, 30));
-    return new Date(epoch.getTime() + n * 86400000);
-  }
-
-  // dd.mm.yyyy
-  const m = s.match(/^(\d{2})\.(\d{2})\.(\d{4})/);
-  if (m) return new Date(Number(m[3]), Number(m[2]) - 1, Number(m[1]));
+// --- банковские профили ---
+app.get('/api/banks', (_req, res) => {
+  res.json(loadProfiles().map(p => ({ id: p.id, name: p.name, currency: p.currency })));
+});
 
-  // yyyy-mm-dd
-  const m2 = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
-  if (m2) return new Date(Number(m2[1]), Number(m2[2]) - 1, Number(m2[3]));
+// --- конвертер таблиц (утилита): /convert/xlsx|csv|tsv|ods|html|json ---
+// ?sheet= (имя/индекс), ?delimiter=, ?encoding=utf8|cp1251, ?bom=0|1, ?dateFormat= (luxon), ?json=objects|arrays
+app.post('/convert/:target', upload, async (req, res) => {
+  const rid = req.id;
+  const started = Date.now();
+  try {
+    const target = String(req.params.target || '').toLowerCase();
+    if (!CONVERT_TARGETS[target]) {
+      return res.status(400).json({ error: 'UNSUPPORTED_TARGET', requestId: rid });
+    }
+    if (!req.file) return res.status(400).json({ error: 'NO_FILE', requestId: rid });
 
-  const dt = new Date(s);
-  return isNaN(dt) ? null : dt;
-}
+    const name = (req.file.originalname || '').toLowerCase();
+    if (!CONVERT_INPUT_RE.test(name)) {
+      return res.status(400).json({ error: 'UNSUPPORTED_INPUT', requestId: rid });
+    }
 
-function ymd(dt) {
-  const y = dt.getFullYear();
-  const m = String(dt.getMonth() + 1).padStart(2, '0');
-  const d = String(dt.getDate()).padStart(2, '0');
-  return `${y}-${m}-${d}`;
-}
+    const q = req.query || {};
+    if (codepageOf(q.encoding) === null) {
+      return res.status(400).json({ error: 'UNSUPPORTED_ENCODING', requestId: rid });
+    }
 
-// Вынесли ключи столбцов в константы (для унификации по разным банкам)
-const COLS = {
-  date: ['Дата', 'Дата операции', 'Operation date', 'Posting date', 'Дата проводки', 'Date'],
-  desc: [
-    'Operation', 'Recipient/Payer', // MBank
-    'Описание', 'Описание операции', 'Description', 'Назначение платежа', 'Назначение'
-  ],
-  // ВАЖНО для MBank: по debug видно, что в выгрузке
-  //   Credit -> СПИСАНИЕ (расход)
-  //   Debit  -> ЗАЧИСЛЕНИЕ (приход)
-  debitIsIncomeKeys: ['Debit', 'Поступление', 'Кредит', 'Доход'], // приход
-  creditIsExpenseKeys: ['Credit', 'Списание', 'Дебет', 'Расход'],   // расход
-  amount: ['Сумма', 'Amount', 'Итого']
-};
+    const workbook = readInput(await fs.readFile(req.file.path), name, { encoding: q.encoding });
+    const sheets = selectSheets(workbook, q.sheet);
+    if (!sheets) return res.status(400).json({ error: 'SHEET_NOT_FOUND', requestId: rid });
 
-COLS.time = ['Время', 'Time', 'Время операции', 'Operation time', 'Transaction time'];
+    const out = convertWorkbook(workbook, target, sheets, {
+      delimiter: q.delimiter,
+      encoding: q.encoding,
+      bom: String(q.bom ?? '1') !== '0',   // BOM по умолчанию — Excel открывает кириллицу
+      dateFormat: q.dateFormat,
+      json: q.json
+    });
 
-function pick(row, keys) {
-  const map = Object.fromEntries(Object.keys(row).map(k => [k.toLowerCase().trim(), k]));
-  for (const k of keys) {
-    const hit = map[k.toLowerCase()];
-    if (hit) return row[hit];
-  }
-  return undefined;
-}
-function buildTsISO(dateRaw, timeRaw, index, zone) {
-  // Если пришёл Date — используем его как есть (может уже содержать время)
-  if (dateRaw instanceof Date && !isNaN(dateRaw)) {
-    const dt = DateTime.fromJSDate(dateRaw, { zone });
-    // если в исходном Date время=00:00:00 и есть колонка timeRaw — добавим её
-    if (
-      (dt.hour + dt.minute + dt.second === 0) &&
-      timeRaw !== undefined && timeRaw !== null && String(timeRaw).trim() !== ''
-    ) {
-      const t = normalizeTimeFromAny(timeRaw);
-      if (t) {
-        const composed = DateTime.fromISO(
-          `${dt.toFormat('yyyy-LL-dd')}T${t}`,
-          { zone }
-        );
-        return composed.isValid ? composed.toISO() : null;
-      }
+    const base = (req.file.originalname || 'converted').replace(/\.[^.]+$/, '');
+    res.setHeader('Content-Type', out.contentType);
+    res.setHeader('Content-Disposition', contentDisposition(`${base}.${out.ext}`, 'converted'));
+
+    // JSON и CSV/TSV одного листа — потоком, остальное — готовым телом
+    if (out.write) {
+      await out.write(res);
+      res.end();
+    } else {
+      res.send(out.body);
     }
-    return dt.isValid ? dt.toISO() : null;
-  }
-
-  // Если число — это может быть Excel serial (включая дробную часть = время)
-  if (typeof dateRaw === 'number') {
-    // 1899-12-30 + N дней (фракции = часы/мин/сек)
-    const base = DateTime.fromISO('1899-12-30', { zone });
-    let dt = base.plus({ days: dateRaw });
-    // если есть отдельная колонка времени — перезапишем время
-    if (timeRaw !== undefined && timeRaw !== null && String(timeRaw).trim() !== '') {
-      const t = normalizeTimeFromAny(timeRaw);
-      if (t) {
-        dt = DateTime.fromISO(`${dt.toFormat('yyyy-LL-dd')}T${t}`, { zone });
-      }
+    const parseMs = Date.now() - started;
+    log.info('convert', { rid, file: req.file.originalname, size: req.file.size, target, sheets: sheets.length, parseMs });
+  } catch (e) {
+    if (res.headersSent) return abortStream(res, 'convert.stream_error', rid, e);
+    if (UPLOAD_ERRORS[e?.message]) {
+      return res.status(UPLOAD_ERRORS[e.message]).json({ error: e.message, requestId: rid });
     }
-    return dt.isValid ? dt.toISO() : null;
+    log.error('convert.error', { rid }, e);
+    return res.status(500).json({ error: 'CONVERT_FAILED', requestId: rid });
+  } finally {
+    if (req.file?.path) try { await fs.unlink(req.file.path); } catch {}
   }
+});
 
-  // Если строка — сначала пробуем форматы 'дата время' прямо в одной колонке
-  if (typeof dateRaw === 'string') {
-    const s = dateRaw.trim();
-
-    // Популярные форматы: "12.09.2025 15:15[:ss]" и ISO-подобные
-    const dtCandidates = [
-      'dd.LL.yyyy HH:mm:ss',
-      'dd.LL.yyyy HH:mm',
-      'd.L.yyyy HH:mm:ss',
-      'd.L.yyyy HH:mm',
-      'yyyy-LL-dd HH:mm:ss',
-      'yyyy-LL-dd HH:mm',
-    ];
-    for (const fmt of dtCandidates) {
-      const dt = DateTime.fromFormat(s, fmt, { zone });
-      if (dt.isValid) return dt.toISO();
+// === upload для /api/statement/parse: выписка .xls (+ курсы .csv) во временный файл
+function xlsOnlyFilter(req, file, cb) {
+  normalizeUploadName(file);
+  const name = (file.originalname || '').toLowerCase();
+  // поле rates — таблица курсов валют в CSV
+  if (file.fieldname === 'rates') {
+    if (!name.endsWith('.csv')) return cb(new Error('ONLY_CSV_RATES_ALLOWED'));
+    return cb(null, true);
+  }
+  if (!name.endsWith('.xls')) {
+    // в пакетной загрузке чужой файл не валит весь запрос — попадёт в отчёт
+    if (file.fieldname === 'files') {
+      (req.rejectedFiles ||= []).push(file.originalname);
+      return cb(null, false);
     }
+    return cb(new Error('ONLY_XLS_ALLOWED'));
+  }
+  cb(null, true);
+}
 
-    // Если времени в строке нет — берём дату и пытаемся добавить timeRaw или синтез
-    const dateOnlyCandidates = [
-      'dd.LL.yyyy',
-      'd.L.yyyy',
-      'yyyy-LL-dd',
-    ];
-    for (const fmt of dateOnlyCandidates) {
-      const dOnly = DateTime.fromFormat(s, fmt, { zone });
-      if (dOnly.isValid) {
-        // отдельная колонка времени?
-        let timePart = null;
-        if (timeRaw !== undefined && timeRaw !== null && String(timeRaw).trim() !== '') {
-          timePart = normalizeTimeFromAny(timeRaw);
-        }
-        if (!timePart) {
-          const hour = 9 + (index % 9); // синтез стабильного времени 09..17
-          timePart = `${String(hour).padStart(2,'0')}:00:00`;
-        }
-        const composed = DateTime.fromISO(
-          `${dOnly.toFormat('yyyy-LL-dd')}T${timePart}`,
-          { zone }
-        );
-        return composed.isValid ? composed.toISO() : null;
-      }
-    }
+const xlsOnlyUpload = { storage: tmpStorage, fileFilter: xlsOnlyFilter };
 
-    // На крайний случай — попробуем нативный парсер
-    const dt = DateTime.fromJSDate(new Date(s), { zone });
-    if (dt.isValid) return dt.toISO();
+// выписка (file) + необязательная таблица курсов (rates); req.file — выписка
+const uploadStatement = [
+  limitedUpload(xlsOnlyUpload, UPLOAD_LIMITS.fileBytes, m => m.fields([{ name: 'file', maxCount: 1 }, { name: 'rates', maxCount: 1 }])),
+  (req, _res, next) => {
+    req.file = req.files?.file?.[0];
+    next();
   }
+];
 
-  // Если ничего не распознали — вернём null
-  return null;
+// таблица курсов: загруженный CSV (курсы к KGS) или локальный JSON (FX_RATES_PATH)
+async function loadRates(req) {
+  const ratesFile = req.files?.rates?.[0];
+  return resolveRates(ratesFile ? await fs.readFile(ratesFile.path, 'utf8') : null);
 }
 
-// вспомогательная: нормализуем timeRaw в "HH:mm:ss"
-function normalizeTimeFromAny(timeRaw) {
-  if (typeof timeRaw === 'number') {
-    const totalSec = Math.round(timeRaw * 24 * 3600); // доля суток
-    const hh = String(Math.floor(totalSec / 3600)).padStart(2, '0');
-    const mm = String(Math.floor((totalSec % 3600) / 60)).padStart(2, '0');
-    const ss = String(totalSec % 60).padStart(2, '0');
-    return `${hh}:${mm}:${ss}`;
-  } else {
-    const s = String(timeRaw).trim();
-    // "15:15" или "15:15:42"
-    const m = s.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
-    if (m) {
-      const hh = String(m[1]).padStart(2, '0');
-      const mm = String(m[2]).padStart(2, '0');
-      const ss = String(m[3] || '00').padStart(2, '0');
-      return `${hh}:${mm}:${ss}`;
-    }
-  }
-  return null;
+// правила категоризации: из поля rules (JSON-массив) — первыми, затем из локального файла
+function loadRules(req) {
+  return resolveRules(req.body?.rules);
 }
 
+// проверка содержимого загрузки (utils/upload.js) → HTTP-статус
+const UPLOAD_ERRORS = {
+  UNSUPPORTED_FILE_TYPE: 415,
+  ENCRYPTED_WORKBOOK: 422,
+  MACRO_WORKBOOK: 422,
+  DECOMPRESSED_TOO_LARGE: 413,
+  TOO_MANY_SHEETS: 413,
+  TOO_MANY_CELLS: 413
+};
 
-// --- конвертер XLS/XLSX -> XLSX (утилита) ---
-app.post('/convert/xlsx', upload.single('file'), (req, res) => {
-  const rid = req.id;
-  const started = Date.now();
-  try {
-    if (!req.file) return res.status(400).json({ error: 'NO_FILE', requestId: rid });
+// коды ошибок разбора → HTTP-статус
+const PARSE_ERRORS = {
+  ...UPLOAD_ERRORS,
+  UNKNOWN_BANK: 400,
+  SHEET_NOT_FOUND: 400,
+  FX_RATES_INVALID: 400,
+  RULES_INVALID: 400,
+  UNSUPPORTED_TIMEZONE: 400,
+  UNSUPPORTED_LOCALE: 400,
+  UNSUPPORTED_GROUP_BY: 400,
+  UNSUPPORTED_WEEK_START: 400,
+  INVALID_ALERT_THRESHOLD: 400,
+  INVALID_FORECAST_DAYS: 400,
+  INVALID_FILTER: 400,
+  HEADER_NOT_FOUND: 422,
+  UNPARSEABLE_ROWS: 422
+};
 
-    const name = (req.file.originalname || '').toLowerCase();
-    if (!/\.(xls|xlsx)$/.test(name)) {
-      return res.status(400).json({ error: 'ONLY_XLS_OR_XLSX', requestId: rid });
-    }
+// ?strict=1 — строки с нераспознанной датой/суммой валят разбор (diagnostics.assertStrict)
+const isStrict = req => String(req.query?.strict || '') === '1';
+// ?dateOnly=1 — без времени операций: ts — начало дня, порядок внутри дня — порядок строк
+const isDateOnly = req => String(req.query?.dateOnly || '') === '1';
+
+// ?tz= (IANA) и ?locale= — поверх значений профиля банка; проверяем до разбора
+function regionQuery(req) {
+  const tz = req.query?.tz || null;
+  const locale = req.query?.locale || null;
+  if (tz && !resolveZone(tz)) throw new Error('UNSUPPORTED_TIMEZONE');
+  if (locale && !resolveLocale(locale)) throw new Error('UNSUPPORTED_LOCALE');
+  return { tz, locale };
+}
 
-    const workbook = XLSX.read(req.file.buffer, { type: 'buffer', cellDates: true });
-    const out = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+// ?groupBy=day|week|month|quarter и ?weekStart=iso|locale|mon|sun|sat (для week)
+function periodQuery(req) {
+  const groupBy = req.query?.groupBy ? String(req.query.groupBy).toLowerCase() : null;
+  const weekStart = req.query?.weekStart ? String(req.query.weekStart).toLowerCase() : 'iso';
+  if (groupBy && !GROUP_BY.includes(groupBy)) throw new Error('UNSUPPORTED_GROUP_BY');
+  if (!WEEK_START_OPTIONS.includes(weekStart)) throw new Error('UNSUPPORTED_WEEK_START');
+  return { groupBy, weekStart };
+}
 
-    const base = (req.file.originalname || 'converted').replace(/\.[^.]+$/, '');
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename="${base}.xlsx"`);
+// ?forecastDays=1..365 — прогноз остатка вперёд; 0/нет — без прогноза
+const FORECAST_MAX_DAYS = 365;
+function forecastQuery(req) {
+  if (req.query?.forecastDays === undefined || req.query.forecastDays === '') return 0;
+  const n = Number(req.query.forecastDays);
+  if (!Number.isInteger(n) || n < 0 || n > FORECAST_MAX_DAYS) throw new Error('INVALID_FORECAST_DAYS');
+  return n;
+}
 
-    const parseMs = Date.now() - started;
-    console.log(`[convert] rid=${rid} file="${req.file.originalname}" size=${req.file.size}B parseMs=${parseMs}`);
-    return res.send(out);
-  } catch (e) {
-    console.error(`[convert][error] rid=${rid}`, e);
-    return res.status(500).json({ error: 'CONVERT_FAILED', requestId: rid });
-  }
-});
+// ?baseCurrency= — валюта пересчёта (ISO-код или символ/название, см. normalizeCurrency); нет — без пересчёта
+function baseCurrencyQuery(req) {
+  if (!req.query?.baseCurrency) return null;
+  return normalizeCurrency(req.query.baseCurrency) || String(req.query.baseCurrency).toUpperCase();
+}
 
-// === upload для /api/statement/parse: сохраняем во временный файл в /tmp
-const uploadXlsOnly = multer({
-  storage: multer.diskStorage({
-    destination: (_req, _file, cb) => cb(null, os.tmpdir()),
-    filename: (_req, file, cb) => {
-      const base = (file.originalname || 'upload').replace(/\s+/g, '_');
-      cb(null, `${Date.now()}_${base}`);
-    }
-  }),
-  limits: { fileSize: 20 * 1024 * 1024 }, // 20 MB
-  fileFilter: (_req, file, cb) => {
-    const name = (file.originalname || '').toLowerCase();
-    if (!name.endsWith('.xls')) return cb(new Error('ONLY_XLS_ALLOWED'));
-    cb(null, true);
+// === локальное хранилище: STORE_PATH — JSON-файл; без него разборы не сохраняются ===
+const store = process.env.STORE_PATH ? createStore({ file: process.env.STORE_PATH }) : null;
+
+// сохранить счета разбора; ошибка записи не должна ронять сам разбор
+async function storeAccounts(accounts, source) {
+  if (!store) return null;
+  try {
+    return await store.save(accounts, source);
+  } catch (e) {
+    log.error('store.error', { rid: source.requestId }, e);
+    return null;
   }
-});
+}
 
-app.post('/api/statement/parse', uploadXlsOnly.single('file'), async (req, res) => {
+app.post('/api/statement/parse', uploadStatement, async (req, res) => {
   const rid = req.id;
   const started = Date.now();
-  const zone = 'Asia/Bishkek';
 
   try {
     if (!req.file) return res.status(400).json({ error: 'NO_FILE' });
 
-    const filepath = req.file.path;
+    // ?format=csv|xlsx|ofx|qif — выгрузка транзакций файлом вместо JSON
+    const format = String(req.query?.format || 'json').toLowerCase();
+    if (format !== 'json' && !EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: 'UNSUPPORTED_FORMAT', requestId: rid });
+    }
+
     const originalName = req.file.originalname;
     const size = req.file.size;
 
-    const buf = await fs.readFile(filepath);
-    const wb = XLSX.read(buf, { type: 'buffer', cellDates: true });
-    const sheetName = wb.SheetNames[0];
-    const ws = wb.Sheets[sheetName];
+    // профиль банка: ?bank= или по содержимому книги; ?sheet= — имя или индекс листа,
+    // без него разбираем все листы. Буфер файла не держим — после чтения книги он не нужен
+    const { wb, detected, profile, sheets } = openStatement(await fs.readFile(req.file.path), { bank: req.query?.bank, sheet: req.query?.sheet });
+    const { zone, locale } = resolveRegion(profile, regionQuery(req));
+    const { groupBy, weekStart } = periodQuery(req);
+    const alertThresholds = thresholdsFromQuery(req.query);
+    const forecastDays = forecastQuery(req);
 
     const isDebug = String(req.query?.debug || '') === '1';
-    const HEADER_INDEX = 12; // 13-я строка — как в debug
 
-    const rowsFixed = XLSX.utils.sheet_to_json(ws, { defval: '', range: HEADER_INDEX });
+    // ?baseCurrency= — агрегаты в выбранной валюте по локальной таблице курсов
+    const baseCurrency = baseCurrencyQuery(req);
+    const rates = baseCurrency ? await loadRates(req) : null;
+    const rules = await loadRules(req);
 
     if (isDebug) {
-      const aoa = XLSX.utils.sheet_to_json(ws, { header: 1, defval: '' });
+      const sheetsDebug = sheets.map(sheetName => {
+        const { header, headerIndex, dataEndIndex, headerRow, rows } = locateTable(wb.Sheets[sheetName], profile);
+        const preview = rows.slice(0, 3);
+        return {
+          sheet: sheetName,
+          headerIndexUsed: headerIndex,
+          headerConfidence: header.confidence,
+          columns: header.mapping,
+          dataEndIndex,
+          headerRowUsed: headerRow,
+          rowsLenFixed: rows.length,
+          sampleRowFixed: preview[0] || null,
+          previewFixed: preview
+        };
+      });
+      const { sheet: firstSheet, ...first } = sheetsDebug[0] || {};
       const parseMs = Date.now() - started;
       return res.json({
         meta: {
@@ -325,181 +498,533 @@ app.post('/api/statement/parse', uploadXlsOnly.single('file'), async (req, res)
           parseMs
         },
         debug: {
-          firstSheet: sheetName,
-          headerIndexUsed: HEADER_INDEX,
-          headerRowUsed: aoa[HEADER_INDEX] || [],
-          rowsLenFixed: rowsFixed.length,
-          sampleRowFixed: rowsFixed[0] || null,
-          previewFixed: rowsFixed.slice(0, 3)
+          bank: { id: profile.id, matchedBy: detected.matchedBy, score: detected.score },
+          firstSheet,
+          ...first,
+          sheets: sheetsDebug
         }
       });
     }
 
-    // ---- парсинг транзакций ----
-      const transactions = [];
-      for (const [i, r] of rowsFixed.entries()) {
-        const dateRaw = pick(r, COLS.date);
-        const timeRaw = pick(r, COLS.time);
-        const tsISO = buildTsISO(dateRaw, timeRaw, i, zone);
-        if (!tsISO) continue;
-
-
-        // MBank: Debit => приход, Credit => расход
-        const incomeRaw = pick(r, COLS.debitIsIncomeKeys);    // приход (плюс)
-        const expenseRaw = pick(r, COLS.creditIsExpenseKeys); // расход (плюс)
+    // release — ячейки листа освобождаются сразу после его разбора
+    const { accounts, skippedSheets } = parseWorkbook(wb, { profile, zone, locale, sheets, baseCurrency, rates, rules, dateOnly: isDateOnly(req), release: true });
+    if (!accounts.length) {
+      return res.status(422).json({ error: 'HEADER_NOT_FOUND', requestId: rid });
+    }
+    if (isStrict(req)) assertStrict(accounts);
+    observeParse('sync', {
+      bank: profile.id,
+      rows: accounts.reduce((s, a) => s + a.rows, 0),
+      parseMs: Date.now() - started,
+      skipped: mergeDiagnostics(accounts).counts
+    });
+    const stored = await storeAccounts(accounts, { file: originalName, requestId: rid, zone });
+
+    if (format !== 'json') {
+      const spec = EXPORT_FORMATS[format];
+      const base = (originalName || 'statement').replace(/\.[^.]+$/, '');
+      res.setHeader('Content-Type', spec.contentType);
+      res.setHeader('Content-Disposition', contentDisposition(`${base}.${spec.ext}`, 'statement'));
+      await writeExport(format, accounts, res);
+      res.end();
+      log.info('export', { rid, file: originalName, format, sheets: accounts.length, parseMs: Date.now() - started });
+      return;
+    }
 
-        const income = Number(parseKgsNumber(incomeRaw)) || 0;
-        const expense = Number(parseKgsNumber(expenseRaw)) || 0;
+    const parseMs = Date.now() - started;
 
-        if (income <= 0 && expense <= 0) continue;
+    const result = buildParseResult({
+      accounts,
+      skippedSheets,
+      detected,
+      file: { name: originalName, size },
+      requestId: rid,
+      zone,
+      locale,
+      parseMs,
+      baseCurrency,
+      rates,
+      groupBy,
+      weekStart: resolveWeekStart(weekStart, locale),
+      alertThresholds,
+      forecastDays
+    });
+    if (stored) result.meta.stored = stored;
+
+    // ответ — потоком: на больших выписках JSON не собирается в одну строку
+    res.type('application/json');
+    await writeJson(res, result);
+    res.end();
+    log.info('parse', { rid, file: originalName, size, bank: profile.id, sheets: accounts.length, rows: result.meta.rows, parseMs });
 
-        const amount = income - expense; // >0 приход, <0 расход
-        const tsDate = DateTime.fromISO(tsISO, { zone }).toJSDate();
-          
-          const rawDesc = (pick(r, COLS.desc) ?? '').toString();
-          const desc = rawDesc.replace(/\\\\/g, '\\').trim();
+  } catch (e) {
+    if (res.headersSent) return abortStream(res, 'parse.stream_error', rid, e);
+    if (e?.message === 'ONLY_XLS_ALLOWED') {
+      return res.status(415).json({ error: 'ONLY_XLS_ALLOWED' });
+    }
+    if (PARSE_ERRORS[e?.message]) {
+      return res.status(PARSE_ERRORS[e.message]).json({ error: e.message, requestId: rid, ...(e.rows ? { rows: e.rows } : {}) });
+    }
+    log.error('parse.error', { rid }, e);
+    return res.status(500).json({ error: 'PARSE_FAILED', requestId: rid });
+  } finally {
+    // удалить временные файлы (выписка и курсы)
+    for (const f of Object.values(req?.files || {}).flat()) {
+      try { await fs.unlink(f.path); } catch {}
+    }
+  }
+});
 
+// === пакетная загрузка: несколько выписок одного счёта → один набор без дублей ===
+const BATCH_MAX_FILES = 20;
+
+app.post(
+  '/api/statement/parse/batch',
+  limitedUpload(xlsOnlyUpload, UPLOAD_LIMITS.fileBytes, m => m.fields([{ name: 'files', maxCount: BATCH_MAX_FILES }, { name: 'rates', maxCount: 1 }])),
+  async (req, res) => {
+    const rid = req.id;
+    const started = Date.now();
+
+    try {
+      const region = regionQuery(req);
+      const { groupBy, weekStart } = periodQuery(req);
+      const alertThresholds = thresholdsFromQuery(req.query);
+      const forecastDays = forecastQuery(req);
+      const uploaded = req.files?.files || [];
+      const rejected = req.rejectedFiles || [];
+      if (!uploaded.length && !rejected.length) return res.status(400).json({ error: 'NO_FILE', requestId: rid });
+
+      const baseCurrency = baseCurrencyQuery(req);
+      const rates = baseCurrency ? await loadRates(req) : null;
+      const rules = await loadRules(req);
+
+      // каждый файл — отдельно; ошибка одного не прерывает остальные
+      const reports = rejected.map(name => ({ file: name, status: 'error', error: 'ONLY_XLS_ALLOWED' }));
+      const parsed = [];
+      for (const f of uploaded) {
+        const report = { file: f.originalname, size: f.size };
+        const fileStarted = Date.now();
+        try {
+          const { wb, profile, sheets } = openStatement(await fs.readFile(f.path), { bank: req.query?.bank, sheet: req.query?.sheet });
+          const { zone, locale } = resolveRegion(profile, region);
+          const { accounts } = parseWorkbook(wb, { profile, zone, locale, sheets, rules, dateOnly: isDateOnly(req), release: true });
+          if (!accounts.length) throw new Error('HEADER_NOT_FOUND');
+          if (isStrict(req)) assertStrict(accounts);
+          parsed.push({ name: f.originalname, accounts, zone, locale, report });
+          Object.assign(report, {
+            status: 'ok',
+            bank: profile.id,
+            sheets: accounts.map(a => a.sheet),
+            rows: accounts.reduce((s, a) => s + a.rows, 0),
+            transactions: accounts.reduce((s, a) => s + a.transactions.length, 0),
+            skippedRows: mergeDiagnostics(accounts).counts
+          });
+          observeParse('batch', { bank: profile.id, rows: report.rows, parseMs: Date.now() - fileStarted, skipped: report.skippedRows });
+        } catch (e) {
+          log.warn('batch.file_error', { rid, file: f.originalname, code: e?.message });
+          Object.assign(report, {
+            status: 'error',
+            error: PARSE_ERRORS[e?.message] ? e.message : 'PARSE_FAILED',
+            ...(e?.rows ? { rows: e.rows } : {})
+          });
+          errorsTotal.inc({ code: report.error, source: 'batch' });
+        }
+        reports.push(report);
+      }
 
-        transactions.push({
-          ts: tsISO,                       // <-- ПОЛНЫЙ ISO С ВРЕМЕНЕМ
-          date: ymd(tsDate),               // оставим для совместимости
-          description: desc,
-          amount,
-          credit: income,
-          debit: expense,
-          direction: amount < 0 ? 'debit' : 'credit'
-        });
+      if (!parsed.length) {
+        return res.status(422).json({ error: 'NO_PARSEABLE_FILES', requestId: rid, files: reports });
       }
 
-    // период
-    let from = null, to = null;
-    if (transactions.length) {
-      const dates = transactions.map(t => t.date).sort();
-      from = dates[0];
-      to = dates[dates.length - 1];
-    }
+      // общий пояс набора: ?tz= или пояс профиля первого разобранного файла
+      const zone = parsed[0].zone;
+      const { accounts, duplicates } = mergeStatements(parsed, { zone, baseCurrency, rates });
+      const stored = await storeAccounts(accounts, { requestId: rid, zone });
+      const weekStartDay = resolveWeekStart(weekStart, parsed[0].locale);
+      // индексы alerts — по объединённому transactions[] счёта
+      attachAnalytics(accounts, { zone, groupBy, weekStart: weekStartDay, alertThresholds, forecastDays, baseCurrency, rates });
+      parsed.forEach((p, i) => { p.report.duplicatesDropped = duplicates[i]; });
 
-    // агрегаты по дням
-    const byDay = new Map();
-    for (const t of transactions) {
-      const d = byDay.get(t.date) || { date: t.date, credit: 0, debit: 0 };
-      if (t.amount > 0) d.credit += t.amount;           // приход
-      if (t.amount < 0) d.debit += Math.abs(t.amount);  // расход (по модулю)
-      byDay.set(t.date, d);
-    }
+      const parseMs = Date.now() - started;
+      const primary = accounts[0];
+      const meta = {
+        processedAt: DateTime.now().setZone(zone).toISO(),
+        requestId: rid,
+        zone,
+        ...(groupBy ? { groupBy, weekStart: weekStartDay } : {}),
+        ...(forecastDays ? { forecastDays } : {}),
+        alertThresholds: { ...DEFAULT_THRESHOLDS, ...alertThresholds },
+        files: { total: reports.length, ok: parsed.length, failed: reports.length - parsed.length },
+        duplicatesDropped: duplicates.reduce((s, n) => s + n, 0),
+        ...(stored ? { stored } : {}),
+        parseMs
+      };
 
-    // заполнение «пустых дней» нулями на периоде
-    const dailySpending = [];
-    if (from && to) {
-      let cur = DateTime.fromISO(from, { zone });
-      const end = DateTime.fromISO(to, { zone });
-      while (cur <= end) {
-        const key = cur.toISODate(); // YYYY-MM-DD
-        const v = byDay.get(key) || { date: key, credit: 0, debit: 0 };
-        dailySpending.push({
-          date: v.date,
-          credit: Number(v.credit.toFixed(2)),
-          debit: Number(v.debit.toFixed(2)),
-          net: Number((v.credit - v.debit).toFixed(2)),
-          // совместимость с текущим фронтом: amount = расходы за день
-          amount: Number(v.debit.toFixed(2))
-        });
-        cur = cur.plus({ days: 1 });
+      res.type('application/json');
+      await writeJson(res, {
+        meta,
+        account: { currency: primary.currency, bank: primary.bank, ...(baseCurrency ? { baseCurrency } : {}) },
+        period: primary.period,
+        dailySpending: primary.dailySpending,
+        transactions: primary.transactions,
+        timeline: primary.timeline,
+        totals: primary.totals,
+        reconciliation: primary.reconciliation,
+        recurring: primary.recurring,
+        alerts: primary.alerts,
+        ...(groupBy ? { periods: primary.periods } : {}),
+        ...(forecastDays ? { forecast: primary.forecast } : {}),
+        accounts,
+        summary: summarizeAccounts(accounts, { baseCurrency }),
+        files: reports
+      });
+      res.end();
+      log.info('batch', { rid, files: reports.length, ok: parsed.length, accounts: accounts.length, parseMs });
+    } catch (e) {
+      if (res.headersSent) return abortStream(res, 'batch.stream_error', rid, e);
+      if (PARSE_ERRORS[e?.message]) {
+        return res.status(PARSE_ERRORS[e.message]).json({ error: e.message, requestId: rid });
+      }
+      log.error('batch.error', { rid }, e);
+      return res.status(500).json({ error: 'PARSE_FAILED', requestId: rid });
+    } finally {
+      for (const f of Object.values(req?.files || {}).flat()) {
+        try { await fs.unlink(f.path); } catch {}
       }
     }
+  }
+);
 
-    // totals
-    const totals = (() => {
-      const credits = transactions.reduce((s, t) => s + (t.credit || 0), 0);
-      const debits = transactions.reduce((s, t) => s + (t.debit || 0), 0);
-      const net = credits - debits;
-      const expenses = Number(debits.toFixed(2));
-      return {
-        credits: Number(credits.toFixed(2)),
-        debits: Number(debits.toFixed(2)),
-        net: Number(net.toFixed(2)),
-        expenses,                 // новое явное поле
-        spending: expenses        // обратная совместимость со старым именем
-      };
-    })();
-      
-      // --- cumulative timeline (по каждой транзакции) и end-of-day cumulativeClose ---
-      let timeline = [];
-      let dailyWithCum = dailySpending;
-      if ((transactions?.length || 0) > 0 && from && to) {
-        timeline = buildCumulativeTimeline(
-          transactions.map(t => ({ ts: t.ts, amount: t.amount })),  // минимально нужные поля
-          { tz: zone }
-        );
-
-        const dailyCum = attachDailyCumulativeClose(
-          { from, to },
-          transactions.map(t => ({ ts: t.ts, amount: t.amount })),
-          { tz: zone }
-        );
-
-        // примиксуем cumulativeClose в dailySpending по дате
-        const byDateCum = new Map(dailyCum.map(x => [x.date, x.cumulativeClose]));
-        dailyWithCum = dailySpending.map(d => ({
-          ...d,
-          cumulativeClose: Number((byDateCum.get(d.date) ?? 0).toFixed(2))
-        }));
-      }
+// === регулярные платежи по готовым транзакциям (например, transactions из /api/statement/parse) ===
+// body: { transactions: [...], tz?, tolerance? (доля, 0.1), minOccurrences? (3), asOf? (YYYY-MM-DD) }
+app.post('/api/analysis/recurring', express.json({ limit: '10mb' }), (req, res) => {
+  const rid = req.id;
+  const body = req.body || {};
+  const transactions = body.transactions;
+  if (
+    !Array.isArray(transactions) ||
+    transactions.some(t => !t || typeof t !== 'object' || !Number.isFinite(t.amount) || !(t.ts || t.date))
+  ) {
+    return res.status(400).json({ error: 'INVALID_TRANSACTIONS', requestId: rid });
+  }
+  const zone = body.tz ? resolveZone(body.tz) : DEFAULT_ZONE;
+  if (!zone) return res.status(400).json({ error: 'UNSUPPORTED_TIMEZONE', requestId: rid });
+  if (body.asOf && !DateTime.fromISO(String(body.asOf)).isValid) {
+    return res.status(400).json({ error: 'INVALID_AS_OF', requestId: rid });
+  }
 
+  const recurring = detectRecurring(transactions, {
+    zone,
+    tolerance: Number.isFinite(body.tolerance) && body.tolerance >= 0 && body.tolerance < 1 ? body.tolerance : 0.1,
+    minOccurrences: Number.isInteger(body.minOccurrences) && body.minOccurrences >= 2 ? body.minOccurrences : 3,
+    asOf: body.asOf ? String(body.asOf) : null
+  });
 
-    const parseMs = Date.now() - started;
+  log.info('recurring', { rid, transactions: transactions.length, series: recurring.length });
+  return res.json({
+    meta: {
+      requestId: rid,
+      processedAt: DateTime.now().setZone(zone).toISO(),
+      zone,
+      transactions: transactions.length
+    },
+    recurring
+  });
+});
 
-    // account.*
-    const account = { currency: 'KGS', bank: 'MBank' };
+// === фоновые задачи: большие выписки разбираются в воркерах, результат — по jobId ===
+
+// ошибка задачи наружу: известный код разбора или общий PARSE_FAILED
+const jobError = code => (PARSE_ERRORS[code] ? code : 'PARSE_FAILED');
+
+// JOBS_CONCURRENCY — размер пула, JOBS_TTL_MIN — сколько хранить результат, JOBS_MAX_FILE_MB — лимит файла
+const jobs = createJobQueue({
+  dir: process.env.JOBS_DIR || path.join(os.tmpdir(), 'xls-converter-jobs'),
+  workerFile: new URL('./workers/parseWorker.js', import.meta.url),
+  concurrency: Number(process.env.JOBS_CONCURRENCY) || Math.max(1, os.cpus().length - 1),
+  ttlMs: (Number(process.env.JOBS_TTL_MIN) || 60) * 60 * 1000,
+  maxQueued: Number(process.env.JOBS_MAX_QUEUED) || 100,
+  onFinish: job => {
+    if (job.status !== 'done') {
+      errorsTotal.inc({ code: jobError(job.error), source: 'job' });
+      return;
+    }
+    observeParse('job', { bank: job.bank, rows: job.rows, parseMs: job.parseMs, skipped: job.skipped });
+    // готовый результат — в хранилище (если включено)
+    if (!store) return;
+    fs.readFile(job.resultPath, 'utf8')
+      .then(text => {
+        const result = JSON.parse(text);
+        return storeAccounts(result.accounts, { file: job.file.name, requestId: job.requestId, zone: result.meta.zone });
+      })
+      .catch(e => log.error('store.error', { rid: job.requestId, job: job.id }, e));
+  }
+});
 
-    // meta.*
-    const meta = {
-      processedAt: DateTime.now().setZone(zone).toISO(),
-      requestId: rid,
-      file: { name: originalName, size },
-      sheet: sheetName,
-      rows: rowsFixed.length,
-      parseMs
-    };
-      
-      meta.contract = {
-        timeline: { ts: 'ISO+06:00', cumulative: 'number' },
-        dailySpending: { amount: 'expensesPositive', cumulativeClose: 'eod cumulative', net: 'deprecated' }
-      };
+const uploadJob = limitedUpload(
+  xlsOnlyUpload,
+  (Number(process.env.JOBS_MAX_FILE_MB) || 100) * 1024 * 1024,
+  m => m.fields([{ name: 'file', maxCount: 1 }, { name: 'rates', maxCount: 1 }])
+);
+
+// задача видна только ключу, который её создал
+function ownJob(req) {
+  const job = jobs.get(req.params.id);
+  if (!job || (job.keyId && job.keyId !== req.apiKey?.id)) return null;
+  return job;
+}
 
-    // логи (консоль)
-    console.log(`[parse] rid=${rid} file="${originalName}" size=${size}B rows=${rowsFixed.length} parseMs=${parseMs}`);
+app.post('/api/jobs', uploadJob, async (req, res) => {
+  const rid = req.id;
+  const file = req.files?.file?.[0];
+  const ratesFile = req.files?.rates?.[0];
+  let owned = false;   // файл выписки передан задаче — удалит очередь
 
-      return res.json({
-        meta, account, period: { from, to },
-        dailySpending: dailyWithCum,   // <-- с cumulativeClose
-        transactions,
-        timeline,                      // <-- новая серия для графика ↑/↓
-        totals
-      });
+  try {
+    if (!file) return res.status(400).json({ error: 'NO_FILE', requestId: rid });
+    const { tz, locale } = regionQuery(req);
+    const { groupBy, weekStart } = periodQuery(req);
+    const alertThresholds = thresholdsFromQuery(req.query);
+    const forecastDays = forecastQuery(req);
+
+    const baseCurrency = baseCurrencyQuery(req);
 
+    const job = jobs.submit({
+      filePath: file.path,
+      file: { name: file.originalname, size: file.size },
+      requestId: rid,
+      keyId: req.apiKey?.id ?? null,
+      options: {
+        bank: req.query?.bank,
+        sheet: req.query?.sheet,
+        tz,
+        locale,
+        groupBy,
+        weekStart,
+        alertThresholds,
+        forecastDays,
+        baseCurrency,
+        ratesCsv: ratesFile ? await fs.readFile(ratesFile.path, 'utf8') : null,
+        rulesJson: req.body?.rules || null,
+        strict: isStrict(req),
+        dateOnly: isDateOnly(req)
+      }
+    });
+    if (!job) return res.status(503).json({ error: 'QUEUE_FULL', requestId: rid });
+    owned = true;
+
+    log.info('jobs.queued', { rid, job: job.id, file: file.originalname, size: file.size });
+    return res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      resultUrl: `/api/jobs/${job.id}/result`,
+      requestId: rid
+    });
   } catch (e) {
-    if (e?.message === 'ONLY_XLS_ALLOWED') {
-      return res.status(415).json({ error: 'ONLY_XLS_ALLOWED' });
+    if (PARSE_ERRORS[e?.message]) {
+      return res.status(PARSE_ERRORS[e.message]).json({ error: e.message, requestId: rid });
     }
-    console.error(`[parse][error] rid=${rid}`, e);
-    return res.status(500).json({ error: 'PARSE_FAILED', requestId: rid });
+    log.error('jobs.error', { rid }, e);
+    return res.status(500).json({ error: 'JOB_SUBMIT_FAILED', requestId: rid });
   } finally {
-    // удалить временный файл
-    if (req?.file?.path) {
-      try { await fs.unlink(req.file.path); } catch {}
+    // курсы уже прочитаны; выписку удаляем сами, только если задача не создана
+    for (const f of Object.values(req?.files || {}).flat()) {
+      if (owned && f === file) continue;
+      try { await fs.unlink(f.path); } catch {}
     }
   }
 });
 
+app.get('/api/jobs/:id', (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ error: 'JOB_NOT_FOUND', requestId: req.id });
+  const view = jobs.view(job);
+  return res.json({ ...view, error: view.error && jobError(view.error) });
+});
+
+app.get('/api/jobs/:id/result', (req, res) => {
+  const rid = req.id;
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ error: 'JOB_NOT_FOUND', requestId: rid });
+  if (job.status === 'queued' || job.status === 'running') {
+    return res.status(409).json({ error: 'JOB_NOT_READY', status: job.status, progress: job.progress, requestId: rid });
+  }
+  if (job.status === 'failed') {
+    const code = jobError(job.error);
+    return res.status(PARSE_ERRORS[code] || 500).json({
+      error: code,
+      jobId: job.id,
+      requestId: rid,
+      ...(job.errorRows ? { rows: job.errorRows } : {})
+    });
+  }
+  res.type('application/json');
+  return res.sendFile(job.resultPath, err => {
+    // результат мог быть удалён по TTL между проверкой и отправкой
+    if (err && !res.headersSent) res.status(404).json({ error: 'JOB_NOT_FOUND', requestId: rid });
+  });
+});
+
+// === запросы к хранилищу: те же формы, что у /api/statement/parse ===
+const STORE_LIMIT_MAX = 10000;
+const ISO_DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function requireStore(req, res) {
+  if (store) return true;
+  res.status(503).json({ error: 'STORE_DISABLED', requestId: req.id });
+  return false;
+}
+
+// ?from=&to= (YYYY-MM-DD, включительно), ?q=, ?category=, ?minAmount=&maxAmount= (по модулю)
+function filterQuery(req) {
+  const q = req.query || {};
+  const day = v => {
+    if (!v) return null;
+    if (!ISO_DAY_RE.test(String(v)) || !DateTime.fromISO(String(v)).isValid) throw new Error('INVALID_FILTER');
+    return String(v);
+  };
+  const amount = v => {
+    if (v === undefined || v === '') return null;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0) throw new Error('INVALID_FILTER');
+    return n;
+  };
+  return {
+    from: day(q.from),
+    to: day(q.to),
+    q: q.q ? String(q.q) : null,
+    category: q.category ? String(q.category) : null,
+    minAmount: amount(q.minAmount),
+    maxAmount: amount(q.maxAmount)
+  };
+}
+
+// ?limit= (по умолчанию 1000, до STORE_LIMIT_MAX) и ?offset=
+function pageQuery(req) {
+  const int = (v, def, max) => {
+    if (v === undefined || v === '') return def;
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < 0 || n > max) throw new Error('INVALID_FILTER');
+    return n;
+  };
+  return { limit: int(req.query?.limit, 1000, STORE_LIMIT_MAX), offset: int(req.query?.offset, 0, Number.MAX_SAFE_INTEGER) };
+}
+
+// сохранённые счета (?account= — id счёта) в форме ответа разбора; ?tz= / ?baseCurrency= как у разбора
+async function storedAccountsFor(req) {
+  const { tz, locale } = regionQuery(req);
+  const baseCurrency = baseCurrencyQuery(req);
+  const rates = baseCurrency ? await loadRates(req) : null;
+  const list = store.accounts().filter(a => !req.query?.account || a.id === String(req.query.account));
+  const zone = tz ? resolveZone(tz) : (list[0]?.zone || DEFAULT_ZONE);
+  const accounts = buildStoredAccounts(list, { zone: tz ? zone : null, baseCurrency, rates });
+  return { accounts, zone, locale: resolveRegion({ zone }, { locale }).locale, baseCurrency, rates };
+}
+
+function storeMeta(req, zone) {
+  return { processedAt: DateTime.now().setZone(zone).toISO(), requestId: req.id, zone };
+}
+
+function storeError(req, res, e) {
+  if (PARSE_ERRORS[e?.message]) {
+    return res.status(PARSE_ERRORS[e.message]).json({ error: e.message, requestId: req.id });
+  }
+  log.error('store.error', { rid: req.id }, e);
+  return res.status(500).json({ error: 'STORE_FAILED', requestId: req.id });
+}
+
+app.get('/api/transactions', async (req, res) => {
+  if (!requireStore(req, res)) return;
+  try {
+    const filters = filterQuery(req);
+    const { limit, offset } = pageQuery(req);
+    const { accounts, zone } = await storedAccountsFor(req);
+    // операции всех счетов в одной ленте; account — id счёта из /api/accounts
+    const all = chronological(
+      accounts.flatMap(a => filterTransactions(a.transactions, filters).map(t => ({ ...t, account: a.id }))),
+      zone
+    );
+    const transactions = all.slice(offset, offset + limit);
+    return res.json({
+      meta: { ...storeMeta(req, zone), filters, total: all.length, offset, limit, count: transactions.length },
+      transactions
+    });
+  } catch (e) {
+    return storeError(req, res, e);
+  }
+});
+
+app.get('/api/accounts', async (req, res) => {
+  if (!requireStore(req, res)) return;
+  try {
+    const { groupBy, weekStart } = periodQuery(req);
+    const alertThresholds = thresholdsFromQuery(req.query);
+    const forecastDays = forecastQuery(req);
+    const { accounts, zone, locale, baseCurrency, rates } = await storedAccountsFor(req);
+    const weekStartDay = resolveWeekStart(weekStart, locale);
+    attachAnalytics(accounts, { zone, groupBy, weekStart: weekStartDay, alertThresholds, forecastDays, baseCurrency, rates });
+    return res.json({
+      meta: {
+        ...storeMeta(req, zone),
+        ...(groupBy ? { groupBy, weekStart: weekStartDay } : {}),
+        ...(forecastDays ? { forecastDays } : {}),
+        alertThresholds: { ...DEFAULT_THRESHOLDS, ...alertThresholds }
+      },
+      accounts,
+      summary: summarizeAccounts(accounts, { baseCurrency })
+    });
+  } catch (e) {
+    return storeError(req, res, e);
+  }
+});
+
+app.get('/api/summary', async (req, res) => {
+  if (!requireStore(req, res)) return;
+  try {
+    const { accounts, zone, baseCurrency } = await storedAccountsFor(req);
+    return res.json({
+      meta: storeMeta(req, zone),
+      summary: summarizeAccounts(accounts, { baseCurrency })
+    });
+  } catch (e) {
+    return storeError(req, res, e);
+  }
+});
+
+// === админка ключей (scope admin): счётчики использования и перечитывание реестра ===
+app.get('/api/admin/usage', (req, res) => {
+  if (!keys) return res.status(503).json({ error: 'KEYS_DISABLED', requestId: req.id });
+  const { loadedAt, keys: list } = keys.report();
+  return res.json({
+    meta: { requestId: req.id, processedAt: DateTime.now().setZone(DEFAULT_ZONE).toISO(), loadedAt, windowMs: RATE_WINDOW_MS },
+    keys: list
+  });
+});
+
+app.post('/api/admin/keys/reload', (req, res) => {
+  if (!keys) return res.status(503).json({ error: 'KEYS_DISABLED', requestId: req.id });
+  if (!keys.reload()) return res.status(500).json({ error: 'KEYS_RELOAD_FAILED', requestId: req.id });
+  const { loadedAt, keys: list } = keys.report();
+  log.info('keys.reload', { rid: req.id, keys: list.length });
+  return res.json({ loadedAt, keys: list.length, requestId: req.id });
+});
+
 // --- error handler для multer и наших ошибок ---
-app.use((err, _req, res, next) => {
-  if (err?.message === 'ONLY_XLS_ALLOWED') {
-    return res.status(415).json({ error: 'ONLY_XLS_ALLOWED' });
+app.use((err, req, res, next) => {
+  if (err?.message === 'ONLY_XLS_ALLOWED' || err?.message === 'ONLY_CSV_RATES_ALLOWED') {
+    return res.status(415).json({ error: err.message });
+  }
+  // express.json: битый JSON / слишком большое тело
+  if (err?.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'INVALID_JSON' });
+  }
+  if (err?.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'PAYLOAD_TOO_LARGE' });
   }
   if (err && err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(413).json({ error: 'PAYLOAD_TOO_LARGE' });
+      return res.status(413).json({ error: 'PAYLOAD_TOO_LARGE', limitMb: Math.round(req.uploadLimitBytes / 1024 / 1024 * 100) / 100 });
     }
     return res.status(400).json({ error: 'UPLOAD_ERROR', code: err.code });
   }
@@ -510,5 +1035,5 @@ app.use((err, _req, res, next) => {
 app.use((_req, res) => res.status(404).json({ error: 'Not found' }));
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`XLS->XLSX converter listening on ${PORT}`));
+app.listen(PORT, () => log.info('listening', { port: Number(PORT) }));
 
@@ -0,0 +1,47 @@
+import { detectAnomalies, thresholdsFromQuery } from '../utils/anomalies.js';
+
+// один день покупок из четырёх, остальные — нули (как dailySpending после заполнения дат)
+function sparseDays(count, debit) {
+  return Array.from({ length: count }, (_, i) => ({
+    date: `2025-06-${String(i + 1).padStart(2, '0')}`,
+    debit: i % 4 === 0 ? debit(i) : 0
+  }));
+}
+
+const spikes = dailySpending =>
+  detectAnomalies({ transactions: [], dailySpending }).filter(a => a.type === 'spending_spike');
+
+describe('detectAnomalies: spending_spike', () => {
+  test('дни без расходов не занижают базу', () => {
+    expect(spikes(sparseDays(28, () => 1000))).toEqual([]);
+  });
+
+  test('всплеск относительно дней с расходами', () => {
+    const [spike, ...rest] = spikes(sparseDays(28, i => (i === 24 ? 5000 : 1000)));
+    expect(rest).toHaveLength(0);
+    expect(spike).toMatchObject({
+      date: '2025-06-25',
+      debit: 5000,
+      score: 5,
+      baseline: { mean: 1000, days: 14, spendingDays: 3 }
+    });
+  });
+});
+
+describe('thresholdsFromQuery', () => {
+  test('только заданные параметры', () => {
+    expect(thresholdsFromQuery({ alertZ: '4.5', alertSpikeWindow: '7', alertNewMin: '' }))
+      .toEqual({ zScore: 4.5, spikeWindow: 7 });
+  });
+
+  test.each([
+    ['alertSpikeWindow', '0'],
+    ['alertSpikeWindow', '2.5'],
+    ['alertMinHistory', '2.5'],
+    ['alertWarmupDays', '1.5'],
+    ['alertZ', '-1'],
+    ['alertSpikeFactor', 'abc']
+  ])('%s=%s — INVALID_ALERT_THRESHOLD', (param, value) => {
+    expect(() => thresholdsFromQuery({ [param]: value })).toThrow('INVALID_ALERT_THRESHOLD');
+  });
+});
@@ -0,0 +1,31 @@
+import { compileRules } from '../utils/categorize.js';
+
+const rule = regex => [{ category: 'test', match: { regex } }];
+
+describe('compileRules: regex из тела запроса', () => {
+  test.each([
+    '^(a+)+$',
+    '(a|aa)*',
+    '((ab)+c)+',
+    '(\\w+\\s?)*$',
+    '(.*a){12}',
+    '(a)\\1',
+    'x'.repeat(201)
+  ])('опасный шаблон отклоняется: %s', regex => {
+    expect(() => compileRules(rule(regex), { untrusted: true })).toThrow('RULES_INVALID');
+  });
+
+  test.each([
+    '(?:visa|master)\\s*card',
+    '^(taxi)+',
+    '\\d{4}\\*+\\d{4}',
+    '([a-z]+)?\\d',
+    '[(a+)]+'
+  ])('обычный шаблон принимается: %s', regex => {
+    expect(compileRules(rule(regex), { untrusted: true })[0].regex).toBeInstanceOf(RegExp);
+  });
+
+  test('правила из файла не ограничиваются', () => {
+    expect(compileRules(rule('^(a+)+$'))[0].regex.source).toBe('^(a+)+$');
+  });
+});
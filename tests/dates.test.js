@@ -0,0 +1,71 @@
+import { dateFormatsFor, detectDateOrder } from '../utils/dates.js';
+import { resolveLocale } from '../utils/locale.js';
+
+describe('detectDateOrder', () => {
+  test('день > 12 в первой позиции — dd/mm', () => {
+    expect(detectDateOrder(['01/02/2025', '15/02/2025', '28.02.2025 14:05'])).toEqual({
+      order: 'dmy', ambiguous: false, source: 'data', samples: 3
+    });
+  });
+
+  test('число > 12 во второй позиции — mm/dd', () => {
+    expect(detectDateOrder(['01/02/2025', '02/13/2025', '12-31-24'])).toEqual({
+      order: 'mdy', ambiguous: false, source: 'data', samples: 3
+    });
+  });
+
+  test('все числа ≤ 12 — порядок локали, ambiguous', () => {
+    const values = ['01/02/2025', '03/04/2025', '12.11.2025'];
+    expect(detectDateOrder(values, { locale: resolveLocale('en-US') })).toEqual({
+      order: 'mdy', ambiguous: true, source: 'locale', samples: 3
+    });
+    expect(detectDateOrder(values, { locale: resolveLocale('ru') })).toMatchObject({ order: 'dmy', ambiguous: true });
+    expect(detectDateOrder(values)).toMatchObject({ order: 'dmy', ambiguous: true });
+  });
+
+  test('профиль банка решает неоднозначные даты без предупреждения', () => {
+    expect(detectDateOrder(['01/02/2025'], { profileOrder: 'mdy', locale: resolveLocale('ru') })).toEqual({
+      order: 'mdy', ambiguous: false, source: 'profile', samples: 1
+    });
+  });
+
+  test('противоречивые данные — профиль или локаль', () => {
+    const values = ['13/01/2025', '01/13/2025'];
+    expect(detectDateOrder(values, { profileOrder: 'dmy' })).toMatchObject({ order: 'dmy', source: 'profile' });
+    expect(detectDateOrder(values, { locale: resolveLocale('en-US') })).toMatchObject({ order: 'mdy', source: 'locale', ambiguous: true });
+  });
+
+  test('нечисловые значения и Date не считаются', () => {
+    expect(detectDateOrder([new Date(2025, 0, 13), 45678, '2025-01-13', '', null])).toEqual({
+      order: 'dmy', ambiguous: false, source: 'locale', samples: 0
+    });
+  });
+});
+
+describe('dateFormatsFor', () => {
+  const profile = {
+    dateTimeFormats: ['dd.LL.yyyy HH:mm'],
+    dateFormats: ['dd.LL.yyyy', 'yyyy-LL-dd'],
+    timeFormats: ['HH:mm']
+  };
+
+  test('dmy — форматы профиля и варианты с "/" и "-"', () => {
+    expect(dateFormatsFor(profile, 'dmy')).toEqual({
+      dateTimeFormats: ['dd.LL.yyyy HH:mm', 'dd/LL/yyyy HH:mm', 'dd-LL-yyyy HH:mm'],
+      dateFormats: ['dd.LL.yyyy', 'dd/LL/yyyy', 'dd-LL-yyyy', 'yyyy-LL-dd'],
+      timeFormats: ['HH:mm']
+    });
+  });
+
+  test('mdy — день и месяц меняются местами, ISO не трогается', () => {
+    expect(dateFormatsFor(profile, 'mdy')).toEqual({
+      dateTimeFormats: ['LL.dd.yyyy HH:mm', 'LL/dd/yyyy HH:mm', 'LL-dd-yyyy HH:mm'],
+      dateFormats: ['LL.dd.yyyy', 'LL/dd/yyyy', 'LL-dd-yyyy', 'yyyy-LL-dd'],
+      timeFormats: ['HH:mm']
+    });
+  });
+
+  test('профиль без форматов', () => {
+    expect(dateFormatsFor({}, 'dmy')).toEqual({ dateTimeFormats: [], dateFormats: [], timeFormats: undefined });
+  });
+});
@@ -0,0 +1,79 @@
+import { parseAmount } from '../utils/number.js';
+import { resolveLocale } from '../utils/locale.js';
+
+const KGS = { decimal: ',', thousands: ' ' };    // banks/mbank.json, optima, kicb
+const DEMIR = { decimal: '.', thousands: ',' };  // banks/demir.json
+const ru = resolveLocale('ru');
+const en = resolveLocale('en');
+
+describe('parseAmount', () => {
+  test.each([
+    ['1 500,00', 1500],
+    ['1 500,50', 1500.5],           // NBSP
+    ['1 234 567,89', 1234567.89], // узкий неразрывный пробел
+    ['1 234,5', 1234.5],
+    ['1,234.56', 1234.56],
+    ['1.234.567,89', 1234567.89],
+    ["1'234.56", 1234.56],
+    ['150000', 150000],
+    ['0,5', 0.5],
+    ['.75', 0.75]
+  ])('%s → %s', (input, expected) => {
+    expect(parseAmount(input)).toBe(expected);
+  });
+
+  test.each([
+    ['(500.00)', -500],
+    ['-(500.00)', -500],
+    ['500.00-', -500],
+    ['1 234,56-', -1234.56],
+    ['−1 200,00', -1200],    // U+2212
+    ['-15,5', -15.5],
+    ['+15,5', 15.5]
+  ])('знак: %s → %s', (input, expected) => {
+    expect(parseAmount(input)).toBe(expected);
+  });
+
+  test.each([
+    ['1 500,50 KGS', 1500.5],
+    ['1 500,50 сом', 1500.5],
+    ['$1,234.56', 1234.56],
+    ['€ 99,90', 99.9],
+    ['-$45.00', -45],
+    ['(₸ 2 000)', -2000]
+  ])('символы валют: %s → %s', (input, expected) => {
+    expect(parseAmount(input)).toBe(expected);
+  });
+
+  test.each([
+    ['1500.00', 1500],
+    ['(200.00)', -200],
+    ['500.00-', -500],
+    ['1 500.50 KGS', 1500.5],
+    ['12.5', 12.5]
+  ])('десятичная точка при профиле с запятой: %s → %s', (input, expected) => {
+    expect(parseAmount(input, { format: KGS, locale: ru })).toBe(expected);
+  });
+
+  test('профиль решает неоднозначные «1,234» / «1.234»', () => {
+    expect(parseAmount('1.234', { format: KGS })).toBe(1234);
+    expect(parseAmount('1,234', { format: KGS })).toBe(1.234);
+    expect(parseAmount('1,234', { format: DEMIR })).toBe(1234);
+    expect(parseAmount('1.234', { format: DEMIR })).toBe(1.234);
+  });
+
+  test('без профиля неоднозначные суммы решает локаль', () => {
+    expect(parseAmount('1,234', { locale: ru })).toBe(1.234);
+    expect(parseAmount('1,234', { locale: en })).toBe(1234);
+    expect(parseAmount('1.234', { locale: en })).toBe(1.234);
+  });
+
+  test('числа возвращаются как есть', () => {
+    expect(parseAmount(42.5)).toBe(42.5);
+    expect(parseAmount(-3)).toBe(-3);
+  });
+
+  test.each(['', '   ', 'abc', '1,2,3.4.5', '12-34', null, undefined])('не число: %p', input => {
+    expect(parseAmount(input)).toBeNaN();
+  });
+});
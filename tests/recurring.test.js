@@ -0,0 +1,27 @@
+import { detectRecurring } from '../utils/recurring.js';
+
+describe('detectRecurring', () => {
+  test('транзакции без merchant (как в POST /api/analysis/recurring)', () => {
+    const transactions = ['2025-06-05', '2025-07-05', '2025-08-05'].map(date => ({
+      ts: `${date}T10:00:00+06:00`,
+      amount: -799,
+      description: 'NETFLIX.COM\\Amsterdam 4169****1234'
+    }));
+    const [series, ...rest] = detectRecurring(transactions, { zone: 'Asia/Bishkek', asOf: '2025-08-20' });
+    expect(rest).toHaveLength(0);
+    expect(series).toMatchObject({
+      merchant: 'NETFLIX.COM',
+      cadence: 'monthly',
+      direction: 'debit',
+      occurrences: 3,
+      averageAmount: 799
+    });
+  });
+
+  test('нерегулярные операции — не серия', () => {
+    const transactions = ['2025-06-01', '2025-06-03', '2025-08-20'].map(date => ({
+      ts: `${date}T10:00:00+06:00`, amount: -500, merchant: 'Globus'
+    }));
+    expect(detectRecurring(transactions, { zone: 'Asia/Bishkek' })).toEqual([]);
+  });
+});
@@ -0,0 +1,34 @@
+import { getProfile } from '../utils/banks.js';
+import { parseTransactions, summarizeTransactions } from '../utils/statement.js';
+
+const zone = 'Asia/Bishkek';
+
+describe('выписка «новые сверху»', () => {
+  // MBank: Debit — приход, Credit — расход; входящий остаток 1000
+  const rows = [
+    { Date: '02.09.2025', Operation: 'Top-up', Debit: '300,00', Credit: '', Balance: '1 700,00' },
+    { Date: '01.09.2025', Operation: 'Shop', Debit: '', Credit: '100,00', Balance: '1 400,00' },
+    { Date: '01.09.2025', Operation: 'Salary', Debit: '500,00', Credit: '', Balance: '1 500,00' }
+  ];
+
+  test('транзакции разворачиваются от старых к новым', () => {
+    const { transactions, newestFirst } = parseTransactions(rows, { profile: getProfile('mbank'), zone, currency: 'KGS' });
+    expect(newestFirst).toBe(true);
+    expect(transactions.map(t => t.description)).toEqual(['Salary', 'Shop', 'Top-up']);
+  });
+
+  test('сверка остатков сходится', () => {
+    const { transactions } = parseTransactions(rows, { profile: getProfile('mbank'), zone, currency: 'KGS' });
+    const { reconciliation } = summarizeTransactions(transactions, { currency: 'KGS', zone, balances: { opening: 1000 } });
+    expect(reconciliation).toMatchObject({ expectedClosingBalance: 1700, discrepancy: 0, balanced: true, firstDivergence: null });
+  });
+});
+
+test('firstDivergence.index — индекс в transactions[]', () => {
+  const transactions = [
+    { ts: '2025-09-01T15:00:00.000+06:00', date: '2025-09-01', amount: -100, credit: 0, debit: 100, description: 'late', balance: 999 },
+    { ts: '2025-09-01T09:00:00.000+06:00', date: '2025-09-01', amount: 500, credit: 500, debit: 0, description: 'early', balance: 1500 }
+  ];
+  const { reconciliation } = summarizeTransactions(transactions, { currency: 'KGS', zone, balances: { opening: 1000 } });
+  expect(reconciliation.firstDivergence).toMatchObject({ index: 0, description: 'late', computedBalance: 1400 });
+});
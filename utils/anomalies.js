@@ -0,0 +1,156 @@
+// utils/anomalies.js  (ESM)
+// Аномалии в счёте: суммы далеко за пределами обычных для контрагента/категории,
+// всплески дневных расходов относительно скользящей базы, крупные платежи новым контрагентам.
+import { DateTime } from 'luxon';
+import { merchantKey, UNCATEGORIZED } from './categorize.js';
+import { chronological, median, round2 } from './cumulative.js';
+
+// пороги по умолчанию; каждый можно переопределить в запросе (см. server.js alertQuery)
+export const DEFAULT_THRESHOLDS = {
+  zScore: 3.5,            // робастный z (медиана/MAD) суммы относительно операций группы
+  minHistory: 4,          // сколько других операций группы нужно для сравнения
+  spikeFactor: 3,         // расход дня > spikeFactor × среднего по дням с расходами за окно
+  spikeWindow: 14,        // окно базы, дней (до дня-кандидата)
+  spikeMin: 0,            // минимальный расход дня для всплеска
+  newCounterpartyMin: 20000,  // порог суммы для первой операции с контрагентом
+  warmupDays: 14          // первые дни выписки «новых» контрагентов не ищем — истории ещё нет
+};
+
+// ссылка на транзакцию в alerts[]: индекс в transactions[] счёта + опознавательные поля
+function txRef(t, index) {
+  return { index, ts: t.ts, amount: t.amount, description: t.description, merchant: t.merchant ?? null };
+}
+
+// суммы, выбивающиеся из своей группы (контрагент или категория, отдельно приход/расход)
+function amountOutliers(transactions, keyOf, reason, th) {
+  const groups = new Map();
+  transactions.forEach((t, i) => {
+    const key = keyOf(t);
+    if (!key) return;
+    const k = `${key}|${t.amount < 0 ? 'debit' : 'credit'}`;
+    const list = groups.get(k) || [];
+    list.push(i);
+    groups.set(k, list);
+  });
+
+  const alerts = [];
+  for (const idx of groups.values()) {
+    if (idx.length - 1 < th.minHistory) continue;
+    // медиана и MAD устойчивы к самому выбросу — считаем по всей группе один раз
+    const abs = idx.map(i => Math.abs(transactions[i].amount));
+    const med = median(abs);
+    const mad = median(abs.map(x => Math.abs(x - med)));
+    // MAD = 0 (одинаковые суммы) — шкала не меньше 5% медианы
+    const scale = Math.max(1.4826 * mad, 0.05 * med, 0.01);
+    idx.forEach((i, j) => {
+      const z = (abs[j] - med) / scale;
+      if (z < th.zScore) return;
+      alerts.push({
+        type: 'amount_outlier',
+        reason,
+        score: round2(z),
+        transaction: txRef(transactions[i], i),
+        baseline: { median: round2(med), mad: round2(mad), samples: abs.length }
+      });
+    });
+  }
+  return alerts;
+}
+
+// дни, где расход превышает spikeFactor × средний расход дней с расходами за предыдущие spikeWindow дней
+function spendingSpikes(dailySpending, th) {
+  const alerts = [];
+  dailySpending.forEach((d, i) => {
+    const window = dailySpending.slice(Math.max(0, i - th.spikeWindow), i);
+    if (window.length < Math.ceil(th.spikeWindow / 2)) return;
+    // дни без расходов (заполненные нулями) в базу не входят — иначе любой день покупок выглядит всплеском
+    const spending = window.filter(x => x.debit > 0);
+    if (!spending.length || d.debit < th.spikeMin) return;
+    const mean = spending.reduce((s, x) => s + x.debit, 0) / spending.length;
+    const ratio = d.debit / mean;
+    if (ratio < th.spikeFactor) return;
+    alerts.push({
+      type: 'spending_spike',
+      reason: 'daily_debit_above_baseline',
+      score: round2(ratio),
+      date: d.date,
+      debit: d.debit,
+      baseline: { mean: round2(mean), days: window.length, spendingDays: spending.length }
+    });
+  });
+  return alerts;
+}
+
+// первая операция с контрагентом после «разогрева», по модулю ≥ newCounterpartyMin
+function newCounterparties(transactions, { zone, ...th }) {
+  const seen = new Set();
+  const alerts = [];
+  const chrono = chronological(transactions.map((t, i) => ({ ts: t.ts, t, i })), zone);
+  const first = chrono.length ? DateTime.fromISO(chrono[0].ts, { zone }) : null;
+  chrono.forEach(({ t, i }) => {
+    const key = merchantKey(t);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    const sinceStart = DateTime.fromISO(t.ts, { zone }).diff(first, 'days').days;
+    if (sinceStart < th.warmupDays || Math.abs(t.amount) < th.newCounterpartyMin) return;
+    alerts.push({
+      type: 'new_counterparty',
+      reason: 'first_seen_above_threshold',
+      score: round2(Math.abs(t.amount) / th.newCounterpartyMin),
+      transaction: txRef(t, i),
+      baseline: { threshold: th.newCounterpartyMin }
+    });
+  });
+  return alerts;
+}
+
+/**
+ * alerts[] счёта (accounts[] из statement.parseWorkbook / batch.mergeStatements).
+ * transaction.index — индекс операции в account.transactions.
+ * Одна операция — не больше одного amount_outlier (контрагент важнее категории).
+ * Сортировка — по score, сильные вперёд.
+ */
+export function detectAnomalies(account, { zone = 'Asia/Bishkek', ...thresholds } = {}) {
+  const th = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const txs = account.transactions || [];
+
+  const byMerchant = amountOutliers(txs, merchantKey, 'amount_outlier_counterparty', th);
+  const flagged = new Set(byMerchant.map(a => a.transaction.index));
+  const byCategory = amountOutliers(
+    txs, t => (t.category && t.category !== UNCATEGORIZED ? t.category : null), 'amount_outlier_category', th
+  ).filter(a => !flagged.has(a.transaction.index));
+
+  return [
+    ...byMerchant,
+    ...byCategory,
+    ...spendingSpikes(account.dailySpending || [], th),
+    ...newCounterparties(txs, { zone, ...th })
+  ].sort((a, b) => b.score - a.score);
+}
+
+// параметры запроса → ключ порога; integer — только целые (счётчики и дни), min — нижняя граница
+const QUERY_PARAMS = {
+  alertZ: { key: 'zScore' },
+  alertMinHistory: { key: 'minHistory', integer: true },
+  alertSpikeFactor: { key: 'spikeFactor' },
+  alertSpikeWindow: { key: 'spikeWindow', integer: true, min: 1 },
+  alertSpikeMin: { key: 'spikeMin' },
+  alertNewMin: { key: 'newCounterpartyMin' },
+  alertWarmupDays: { key: 'warmupDays', integer: true }
+};
+
+/**
+ * Пороги из query (?alertZ=, ?alertSpikeFactor=, ...): только заданные.
+ * Не число, отрицательное, дробное для счётчиков и дней или alertSpikeWindow < 1 —
+ * Error('INVALID_ALERT_THRESHOLD').
+ */
+export function thresholdsFromQuery(query = {}) {
+  const out = {};
+  for (const [param, { key, integer = false, min = 0 }] of Object.entries(QUERY_PARAMS)) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const n = Number(query[param]);
+    if (!Number.isFinite(n) || n < min || (integer && !Number.isInteger(n))) throw new Error('INVALID_ALERT_THRESHOLD');
+    out[key] = n;
+  }
+  return out;
+}
@@ -0,0 +1,158 @@
+// utils/apiKeys.js  (ESM)
+// Реестр API-ключей клиентов: JSON-файл (API_KEYS_PATH или data/api-keys.json).
+// Ключи хранятся только хешами: "sha256:" + hex(sha256(ключ)), например
+//   node -e "console.log('sha256:' + require('crypto').createHash('sha256').update(process.argv[1]).digest('hex'))" <ключ>
+// Файл перечитывается при изменении (и по reload()) — ключи ротируются без рестарта:
+// у записи может быть несколько хешей (hashes[]) — старый и новый ключ на время перехода.
+import crypto from 'crypto';
+import fsSync from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from './logger.js';
+
+const KEYS_PATH = process.env.API_KEYS_PATH
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'api-keys.json');
+
+export const SCOPES = ['convert', 'parse', 'export', 'admin'];
+
+// лимит запросов записи без своего rateLimit (как у общего лимита по IP)
+const DEFAULT_RATE_LIMIT = 60;     // запросов за окно RATE_WINDOW_MS
+
+export const RATE_WINDOW_MS = 15 * 60 * 1000;
+
+const WATCH_INTERVAL_MS = 5000;
+
+export function hashKey(key) {
+  return 'sha256:' + crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function validateEntry(e, i) {
+  if (!e || typeof e !== 'object') throw new Error(`api key #${i + 1}: must be an object`);
+  const id = e.id || e.name;
+  if (!id || typeof id !== 'string') throw new Error(`api key #${i + 1}: "id" or "name" is required`);
+  const hashes = [].concat(e.hashes || [], e.hash || []);
+  if (!hashes.length || hashes.some(h => !/^sha256:[0-9a-f]{64}$/.test(h))) {
+    throw new Error(`api key ${id}: "hash" must be "sha256:<64 hex>"`);
+  }
+  const scopes = Array.isArray(e.scopes) ? e.scopes : [];
+  const unknown = scopes.filter(s => !SCOPES.includes(s));
+  if (unknown.length) throw new Error(`api key ${id}: unknown scopes ${unknown.join(', ')}`);
+  const rateLimit = e.rateLimit ?? DEFAULT_RATE_LIMIT;
+  // maxFileMb заменяет лимит файла маршрута (выше или ниже); null — лимит маршрута
+  const maxFileMb = e.maxFileMb ?? null;
+  if (!Number.isInteger(rateLimit) || rateLimit < 1) throw new Error(`api key ${id}: "rateLimit" must be a positive integer`);
+  if (maxFileMb !== null && (!Number.isFinite(maxFileMb) || maxFileMb <= 0)) throw new Error(`api key ${id}: "maxFileMb" must be positive`);
+  return {
+    id,
+    name: e.name || id,
+    hashes,
+    scopes,
+    rateLimit,
+    maxFileMb,
+    disabled: e.disabled === true
+  };
+}
+
+function readKeys(file) {
+  const data = JSON.parse(fsSync.readFileSync(file, 'utf8'));
+  const list = Array.isArray(data) ? data : data?.keys;
+  if (!Array.isArray(list)) throw new Error(`api keys ${file}: expected { "keys": [...] }`);
+  const keys = list.map(validateEntry);
+  const ids = new Set();
+  for (const k of keys) {
+    if (ids.has(k.id)) throw new Error(`api keys ${file}: duplicate id "${k.id}"`);
+    ids.add(k.id);
+  }
+  return keys;
+}
+
+function emptyUsage() {
+  return { requests: 0, errors: 0, rateLimited: 0, bytesIn: 0, byScope: {}, lastUsedAt: null };
+}
+
+/**
+ * Реестр ключей из файла; файла нет → null (работает старая схема с API_TOKEN).
+ * Битый файл при старте — исключение; при перечитывании — ошибка в лог, действуют прежние ключи.
+ * Счётчики использования — в памяти процесса, переживают ротацию ключа (по id записи).
+ */
+export function createKeyRegistry({ file = KEYS_PATH, watch = true } = {}) {
+  if (!fsSync.existsSync(file)) return null;
+
+  let keys = [];
+  let byHash = new Map();
+  let loadedAt = null;
+  const usage = new Map();
+
+  function load() {
+    const next = readKeys(file);
+    keys = next;
+    byHash = new Map(next.flatMap(k => k.hashes.map(h => [h, k])));
+    loadedAt = new Date().toISOString();
+    for (const k of next) if (!usage.has(k.id)) usage.set(k.id, emptyUsage());
+    log.info('keys.loaded', { keys: next.length, file });
+  }
+
+  function reload() {
+    try {
+      load();
+      return true;
+    } catch (e) {
+      log.error('keys.reload_error', { file }, e);
+      return false;
+    }
+  }
+
+  load();
+  if (watch) {
+    fsSync.watchFile(file, { interval: WATCH_INTERVAL_MS }, (cur, prev) => {
+      if (cur.mtimeMs !== prev.mtimeMs && cur.mtimeMs) reload();
+    }).unref();
+  }
+
+  return {
+    reload,
+
+    /**
+     * Запись по предъявленному ключу или null (неизвестный/отключённый ключ).
+     */
+    authenticate(presented) {
+      if (!presented) return null;
+      const key = byHash.get(hashKey(presented));
+      return key && !key.disabled ? key : null;
+    },
+
+    /**
+     * Учёт запроса: scope — область маршрута (или null), status — HTTP-статус ответа,
+     * bytesIn — размер загруженных файлов.
+     */
+    record(key, { scope, status, bytesIn = 0 }) {
+      const u = usage.get(key.id) || emptyUsage();
+      u.requests += 1;
+      if (status === 429) u.rateLimited += 1;
+      else if (status >= 400) u.errors += 1;
+      u.bytesIn += bytesIn;
+      if (scope) u.byScope[scope] = (u.byScope[scope] || 0) + 1;
+      u.lastUsedAt = new Date().toISOString();
+      usage.set(key.id, u);
+    },
+
+    /**
+     * Ключи без хешей + счётчики (для админского маршрута).
+     */
+    report() {
+      return {
+        loadedAt,
+        keys: keys.map(k => ({
+          id: k.id,
+          name: k.name,
+          scopes: k.scopes,
+          rateLimit: k.rateLimit,
+          maxFileMb: k.maxFileMb,
+          disabled: k.disabled,
+          activeHashes: k.hashes.length,
+          usage: usage.get(k.id) || emptyUsage()
+        }))
+      };
+    }
+  };
+}
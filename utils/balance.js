@@ -0,0 +1,81 @@
+// utils/balance.js  (ESM)
+// Входящий/исходящий остаток из шапки/подвала выписки или из столбца остатка и сверка с расчётом.
+import { round2 } from './cumulative.js';
+
+const OPENING_RE = /(входящий остаток|входящее сальдо|остаток на начало|сальдо на начало|opening balance)/i;
+const CLOSING_RE = /(исходящий остаток|исходящее сальдо|остаток на конец|сальдо на конец|closing balance)/i;
+
+// Сумма в строке с подписью: "Входящий остаток | 10 000,00" или "Входящий остаток: 10 000,00"
+function findLabeledAmount(rows, re, parseNum) {
+  for (const row of rows) {
+    const idx = (row || []).findIndex(c => re.test(String(c)));
+    if (idx === -1) continue;
+    const inline = String(row[idx]).split(':')[1];
+    for (const cell of [inline, ...row.slice(idx + 1)]) {
+      if (cell === undefined || String(cell).trim() === '') continue;
+      const n = parseNum(cell);
+      if (Number.isFinite(n)) return n;
+    }
+  }
+  return null;
+}
+
+/**
+ * Остатки из шапки (строки до заголовка) и подвала (строки после конца данных) — массивы строк-массивов.
+ * Возвращает { opening, closing } — числа или null.
+ */
+export function extractStatementBalances({ preamble, footer }, parseNum) {
+  return {
+    opening: findLabeledAmount(preamble, OPENING_RE, parseNum) ?? findLabeledAmount(footer, OPENING_RE, parseNum),
+    closing: findLabeledAmount(footer, CLOSING_RE, parseNum) ?? findLabeledAmount(preamble, CLOSING_RE, parseNum)
+  };
+}
+
+/**
+ * Сверка: ожидаемый исходящий остаток (из выписки) против opening + Σ amount,
+ * и первая транзакция, где столбец остатка (t.balance) расходится с расчётом.
+ * transactions — в хронологическом порядке.
+ */
+export function reconcileBalances(transactions, { opening = null, closing = null } = {}) {
+  const source = { opening: opening === null ? null : 'statement', closing: closing === null ? null : 'statement' };
+
+  // нет остатков в шапке/подвале — берём из столбца остатка
+  const withBalance = transactions.filter(t => Number.isFinite(t.balance));
+  if (opening === null && withBalance.length && transactions[0] === withBalance[0]) {
+    opening = round2(transactions[0].balance - transactions[0].amount);
+    source.opening = 'balanceColumn';
+  }
+  const last = transactions[transactions.length - 1];
+  if (closing === null && last && Number.isFinite(last.balance)) {
+    closing = last.balance;
+    source.closing = 'balanceColumn';
+  }
+
+  const start = opening ?? 0;
+  let running = start;
+  let firstDivergence = null;
+  for (const [index, t] of transactions.entries()) {
+    running = round2(running + t.amount);
+    if (!firstDivergence && opening !== null && Number.isFinite(t.balance) && Math.abs(t.balance - running) >= 0.01) {
+      firstDivergence = {
+        index,
+        ts: t.ts,
+        description: t.description,
+        amount: t.amount,
+        balance: t.balance,
+        computedBalance: running
+      };
+    }
+  }
+
+  const discrepancy = closing === null ? null : round2(closing - running);
+  return {
+    openingBalance: opening,
+    expectedClosingBalance: closing,
+    computedClosingBalance: running,
+    discrepancy,
+    balanced: discrepancy === null ? null : Math.abs(discrepancy) < 0.01,
+    source,
+    firstDivergence
+  };
+}
@@ -0,0 +1,106 @@
+// utils/banks.js  (ESM)
+// Реестр банковских профилей: по одному JSON-файлу на банк в каталоге banks/ (или BANKS_DIR).
+// Профиль описывает синонимы столбцов, семантику сумм (columns.income — приход,
+// columns.expense — расход; у MBank это «Debit» и «Credit» соответственно, generic — так же,
+// как разбирались выписки до профилей),
+// форматы даты/времени, формат чисел, валюту, часовой пояс и локаль по умолчанию,
+// расположение листа/заголовка.
+import fsSync from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { HEADER_SCAN_ROWS, detectHeaderRow } from './header.js';
+import { DEFAULT_LOCALE, DEFAULT_ZONE } from './locale.js';
+import { sheetHead } from './rows.js';
+
+const BANKS_DIR = process.env.BANKS_DIR
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'banks');
+
+const FALLBACK_ID = 'generic';
+const FINGERPRINT_ROWS = 30;
+
+let cache = null;
+
+function validateProfile(p, file) {
+  if (!p || typeof p.id !== 'string' || !p.id) throw new Error(`bank profile ${file}: "id" is required`);
+  const c = p.columns || {};
+  for (const k of ['date', 'desc', 'income', 'expense']) {
+    if (!Array.isArray(c[k])) throw new Error(`bank profile ${file}: "columns.${k}" must be an array`);
+  }
+  return {
+    name: p.id,
+    currency: 'KGS',
+    zone: DEFAULT_ZONE,
+    locale: DEFAULT_LOCALE,
+    fingerprint: [],
+    sheet: 0,
+    headerIndex: null,
+    dateTimeFormats: [],
+    dateFormats: [],
+    timeFormats: [],
+    dateOrder: null,
+    number: null,
+    ...p,
+    columns: { time: [], ...c }
+  };
+}
+
+/**
+ * Читает все *.json из каталога профилей. Результат кэшируется; reload=true — перечитать.
+ */
+export function loadProfiles({ dir = BANKS_DIR, reload = false } = {}) {
+  if (cache && !reload) return cache;
+  const files = fsSync.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  cache = files.map(f => validateProfile(JSON.parse(fsSync.readFileSync(path.join(dir, f), 'utf8')), f));
+  return cache;
+}
+
+export function getProfile(id) {
+  const key = String(id || '').toLowerCase().trim();
+  return loadProfiles().find(p => p.id === key) || null;
+}
+
+/**
+ * Лист профиля: sheet — индекс или имя листа.
+ */
+export function profileSheetName(wb, profile) {
+  const s = profile.sheet ?? 0;
+  if (typeof s === 'number') return wb.SheetNames[s] ?? wb.SheetNames[0];
+  return wb.SheetNames.includes(s) ? s : wb.SheetNames[0];
+}
+
+/**
+ * Выбор профиля по содержимому книги.
+ * Счёт = 2 × (совпавшие фразы fingerprint в шапке листа) + уверенность распознавания заголовка;
+ * при равном счёте профиль банка важнее generic.
+ * override (?bank=) имеет приоритет; неизвестный id → null.
+ * Возвращает { profile, matchedBy: 'override' | 'fingerprint' | 'header', score } либо null.
+ */
+export function detectProfile(wb, { override } = {}) {
+  if (override) {
+    const profile = getProfile(override);
+    return profile ? { profile, matchedBy: 'override', score: null } : null;
+  }
+
+  let best = null;
+  for (const profile of loadProfiles()) {
+    const ws = wb.Sheets[profileSheetName(wb, profile)];
+    if (!ws) continue;
+    // только начало листа: отпечаток и строка заголовка
+    const aoa = sheetHead(ws, Math.max(FINGERPRINT_ROWS, HEADER_SCAN_ROWS));
+    const text = aoa.slice(0, FINGERPRINT_ROWS).flat().join(' ').toLowerCase();
+
+    const hits = profile.fingerprint.filter(f => text.includes(String(f).toLowerCase())).length;
+    const { confidence } = detectHeaderRow(aoa, profile.columns);
+    const score = Number((hits * 2 + confidence).toFixed(2));
+
+    if (!best || score > best.score || (score === best.score && best.profile.id === FALLBACK_ID)) {
+      best = { profile, matchedBy: hits ? 'fingerprint' : 'header', score };
+    }
+  }
+
+  if (!best || best.score === 0) {
+    const profile = getProfile(FALLBACK_ID);
+    return profile ? { profile, matchedBy: 'header', score: 0 } : null;
+  }
+  return best;
+}
@@ -0,0 +1,89 @@
+// utils/batch.js  (ESM)
+// Слияние нескольких выписок одного счёта (помесячные файлы) в один хронологический набор.
+import { chronological } from './cumulative.js';
+import { summarizeTransactions } from './statement.js';
+
+/**
+ * Отпечаток операции для дедупликации между файлами.
+ */
+export function txFingerprint(t) {
+  return `${t.ts}|${t.amount}|${t.description}`;
+}
+
+function accountKey(a) {
+  return `${a.bank}|${a.currency}`;
+}
+
+/**
+ * files: [{ name, accounts }] — успешно разобранные файлы.
+ * Счета сливаются по (банк, валюта). Пересечения периодов дедуплицируются по txFingerprint:
+ * одинаковая операция сохраняется столько раз, сколько встречается в одном файле максимум
+ * (законные повторы внутри файла не теряются).
+ * Возвращает { accounts, duplicates: [сколько операций отброшено из files[i]] } — по индексу загрузки,
+ * а не по имени: в наборе бывают одноимённые файлы («statement.xls» за разные месяцы).
+ */
+export function mergeStatements(files, { zone, baseCurrency = null, rates = null }) {
+  const duplicates = files.map(() => 0);
+  const groups = new Map();
+
+  // раньше начавшийся файл «владеет» общими операциями
+  const ordered = files
+    .flatMap((f, index) => f.accounts.map(a => ({ index, file: f.name, account: a })))
+    .sort((x, y) => String(x.account.period.from ?? '').localeCompare(String(y.account.period.from ?? '')));
+
+  for (const { index, file, account } of ordered) {
+    const key = accountKey(account);
+    const g = groups.get(key) || {
+      currency: account.currency,
+      bank: account.bank,
+      sources: [],
+      rows: 0,
+      seen: new Map(),
+      transactions: [],
+      opening: null,
+      closing: null
+    };
+
+    const local = new Map();
+    for (const t of account.transactions) {
+      const fp = txFingerprint(t);
+      const n = (local.get(fp) || 0) + 1;
+      local.set(fp, n);
+      if (n <= (g.seen.get(fp) || 0)) {
+        duplicates[index] += 1;
+        continue;
+      }
+      g.seen.set(fp, n);
+      g.transactions.push(t);
+    }
+
+    // входящий — из самого раннего файла, исходящий — из самого позднего
+    if (!g.sources.length) g.opening = account.openingBalance;
+    if (account.closingBalance !== null) g.closing = account.closingBalance;
+    g.sources.push({ file, sheet: account.sheet });
+    g.rows += account.rows;
+    groups.set(key, g);
+  }
+
+  const accounts = [...groups.values()].map(g => {
+    // хронологический порядок; порядок строк внутри одной метки времени сохраняется
+    const transactions = chronological(g.transactions, zone);
+    return {
+      sheet: g.sources.map(s => s.sheet).join(', '),
+      currency: g.currency,
+      bank: g.bank,
+      rows: g.rows,
+      sources: g.sources,
+      transactions,
+      ...summarizeTransactions(transactions, {
+        currency: g.currency,
+        zone,
+        balances: { opening: g.opening, closing: g.closing },
+        baseCurrency,
+        rates
+      })
+    };
+  });
+
+  return { accounts, duplicates };
+}
@@ -0,0 +1,170 @@
+// utils/categorize.js  (ESM)
+// Нормализация контрагента из описания и категоризация по упорядоченному списку правил.
+// Правила — rules/categories.json (или CATEGORY_RULES_PATH) и/или из тела запроса.
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const RULES_PATH = process.env.CATEGORY_RULES_PATH
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'rules', 'categories.json');
+
+export const UNCATEGORIZED = 'uncategorized';
+
+/**
+ * Контрагент из описания (или столбца контрагента): убираем маски карт, ID терминалов/RRN,
+ * длинные номера, дату/время; "MERCHANT\CITY" → "MERCHANT".
+ */
+export function normalizeMerchant(description) {
+  let s = String(description ?? '').replace(/\\\\/g, '\\');
+  s = s.split('\\')[0];
+  s = s
+    .replace(/\b\d{4,6}[*xX]{2,}\d{2,4}\b/g, ' ')                     // 4169****1234
+    .replace(/[*xX]{4,}\d{2,4}\b/g, ' ')                              // ****1234
+    .replace(/(terminal|term|tid|rrn|auth|терминал|тер\.?)(?=[\s:#№])\s*[:#№]?\s*[\w-]+/gi, ' ')
+    .replace(/\b\d{2}[./]\d{2}[./]\d{2,4}(\s+\d{1,2}:\d{2}(:\d{2})?)?\b/g, ' ')
+    .replace(/\b\d{6,}\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,;:.\-/]+|[\s,;:.\-/]+$/g, '');
+  return s;
+}
+
+/**
+ * Ключ контрагента для группировок (регулярные платежи, аномалии): merchant или нормализованное описание.
+ */
+export function merchantKey(t) {
+  return String(t.merchant || normalizeMerchant(t.counterparty || t.description)).toLowerCase();
+}
+
+// регулярные выражения из тела запроса выполняются на потоке запроса по каждой операции:
+// ограничиваем длину, запрещаем обратные ссылки и квантификатор (*, +, {n}) у группы,
+// внутри которой есть квантификатор или альтернатива — (a+)+, (a|aa)* перебираются экспоненциально
+const UNTRUSTED_REGEX_MAX_LENGTH = 200;
+const QUANTIFIER_RE = /[*+?|]|\{\d/;
+
+function assertSafeRegex(source) {
+  if (source.length > UNTRUSTED_REGEX_MAX_LENGTH) throw new Error('RULES_INVALID');
+  if (/\\[1-9]|\\k</.test(source)) throw new Error('RULES_INVALID');
+  // экранированные символы и классы [...] — один символ; (?:, (?=, (?<имя> — обычные скобки
+  let s = source
+    .replace(/\\./g, 'x')
+    .replace(/\[[^\]]*\]/g, 'x')
+    .replace(/\(\?(?:[:=!]|<[=!]|<\w+>)/g, '(');
+  // скобки изнутри наружу: группа с квантификатором внутри → "x+", без — "x"
+  while (/\([^()]*\)/.test(s)) {
+    if (/\([^()]*(?:[*+?|]|\{\d)[^()]*\)(?:[*+]|\{\d)/.test(s)) throw new Error('RULES_INVALID');
+    s = s.replace(/\([^()]*\)/g, g => (QUANTIFIER_RE.test(g) ? 'x+' : 'x'));
+  }
+}
+
+function validateRule(r, i, untrusted = false) {
+  if (!r || typeof r !== 'object') throw new Error('RULES_INVALID');
+  if (!r.category || typeof r.category !== 'string') throw new Error('RULES_INVALID');
+  const m = r.match || {};
+  if (m.regex && untrusted) assertSafeRegex(String(m.regex));
+  const regex = m.regex ? new RegExp(m.regex, String(m.flags ?? 'i').replace('g', '')) : null;
+  const contains = [].concat(m.contains || []).map(x => String(x).toLowerCase());
+  return {
+    id: r.id || `rule-${i + 1}`,
+    category: r.category,
+    tags: Array.isArray(r.tags) ? r.tags : [],
+    field: m.field === 'description' ? 'description' : 'merchant',
+    regex,
+    contains,
+    minAmount: Number.isFinite(m.minAmount) ? m.minAmount : null,
+    maxAmount: Number.isFinite(m.maxAmount) ? m.maxAmount : null,
+    direction: m.direction === 'credit' || m.direction === 'debit' ? m.direction : null
+  };
+}
+
+/**
+ * Правила из JSON-массива (файл или тело запроса) → скомпилированный список.
+ * untrusted — правила клиента: regex только без вложенных квантификаторов и не длиннее 200 символов.
+ * Ошибка формата — Error('RULES_INVALID').
+ */
+export function compileRules(list, { untrusted = false } = {}) {
+  if (!Array.isArray(list)) throw new Error('RULES_INVALID');
+  try {
+    return list.map((r, i) => validateRule(r, i, untrusted));
+  } catch {
+    throw new Error('RULES_INVALID');
+  }
+}
+
+/**
+ * Правила из локального файла; нет файла → пустой список.
+ */
+export async function loadRulesFile(file = RULES_PATH) {
+  try {
+    return compileRules(JSON.parse(await fs.readFile(file, 'utf8')));
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+}
+
+/**
+ * Правила из JSON-строки (поле запроса) — первыми, затем из локального файла.
+ */
+export async function resolveRules(json = null) {
+  const fileRules = await loadRulesFile();
+  if (!json) return fileRules;
+  let list;
+  try {
+    list = JSON.parse(json);
+  } catch {
+    throw new Error('RULES_INVALID');
+  }
+  return [...compileRules(list, { untrusted: true }), ...fileRules];
+}
+
+function ruleMatches(rule, t, merchant) {
+  // field: 'description' — полный текст операции (описание + контрагент), иначе нормализованный merchant
+  const text = rule.field === 'description'
+    ? [t.description, t.counterparty].filter(Boolean).join(' ')
+    : merchant;
+  const lower = String(text ?? '').toLowerCase();
+  const abs = Math.abs(t.amount);
+  if (rule.direction && t.direction !== rule.direction) return false;
+  if (rule.minAmount !== null && abs < rule.minAmount) return false;
+  if (rule.maxAmount !== null && abs > rule.maxAmount) return false;
+  if (rule.contains.length && !rule.contains.some(c => lower.includes(c))) return false;
+  if (rule.regex && !rule.regex.test(text)) return false;
+  // правило без текстовых условий срабатывает только по сумме/направлению
+  return true;
+}
+
+/**
+ * Проставляет каждой транзакции merchant, category, tags, matchedRuleId (первое совпавшее правило).
+ * Мутирует и возвращает тот же массив.
+ */
+export function categorizeTransactions(transactions, rules) {
+  for (const t of transactions) {
+    const merchant = normalizeMerchant(t.counterparty || t.description);
+    const rule = rules.find(r => ruleMatches(r, t, merchant));
+    t.merchant = merchant;
+    t.category = rule ? rule.category : UNCATEGORIZED;
+    t.tags = rule ? rule.tags : [];
+    t.matchedRuleId = rule ? rule.id : null;
+  }
+  return transactions;
+}
+
+/**
+ * Разбивка по категориям: { [category]: { credits, debits, net, count } }.
+ */
+export function categoryBreakdown(transactions) {
+  const out = {};
+  for (const t of transactions) {
+    const key = t.category || UNCATEGORIZED;
+    const c = out[key] || (out[key] = { credits: 0, debits: 0, net: 0, count: 0 });
+    c.credits += t.credit || 0;
+    c.debits += t.debit || 0;
+    c.count += 1;
+  }
+  for (const c of Object.values(out)) {
+    c.credits = Number(c.credits.toFixed(2));
+    c.debits = Number(c.debits.toFixed(2));
+    c.net = Number((c.credits - c.debits).toFixed(2));
+  }
+  return out;
+}
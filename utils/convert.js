@@ -0,0 +1,144 @@
+// utils/convert.js  (ESM)
+// Универсальная конвертация таблиц: xls/xlsx/xlsb/ods/csv → xlsx/csv/tsv/ods/html/json.
+import XLSX from 'xlsx';
+import cptable from 'xlsx/dist/cpexcel.js';
+import { DateTime } from 'luxon';
+import { asciiName } from './filename.js';
+import { assertWorkbookLimits, inspectUpload } from './upload.js';
+import { writeChunks, writeJson } from './stream.js';
+
+export const CONVERT_INPUT_RE = /\.(xls|xlsx|xlsb|ods|csv)$/i;
+
+export const CONVERT_TARGETS = {
+  xlsx: { ext: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', bookType: 'xlsx' },
+  ods: { ext: 'ods', contentType: 'application/vnd.oasis.opendocument.spreadsheet', bookType: 'ods' },
+  csv: { ext: 'csv', contentType: 'text/csv' },
+  tsv: { ext: 'tsv', contentType: 'text/tab-separated-values' },
+  html: { ext: 'html', contentType: 'text/html' },
+  json: { ext: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+const ZIP_TYPE = 'application/zip';
+
+// кодировки текстового ввода/вывода → codepage SheetJS
+const CODEPAGES = { 'utf8': 65001, 'utf-8': 65001, 'cp1251': 1251, 'windows-1251': 1251 };
+
+export function codepageOf(encoding) {
+  if (!encoding) return 65001;
+  return CODEPAGES[String(encoding).toLowerCase()] ?? null;
+}
+
+/**
+ * Чтение входного файла; CSV — в указанной кодировке (по умолчанию UTF-8).
+ * Содержимое должно соответствовать расширению (upload.inspectUpload), книга — в пределах UPLOAD_LIMITS.
+ */
+export function readInput(buffer, name, { encoding } = {}) {
+  const ext = (String(name).match(CONVERT_INPUT_RE) || [])[1];
+  inspectUpload(buffer, { ext });
+  const opts = { type: 'buffer', cellDates: true };
+  if (ext?.toLowerCase() === 'csv') opts.codepage = codepageOf(encoding) ?? 65001;
+  const wb = XLSX.read(buffer, opts);
+  assertWorkbookLimits(wb);
+  return wb;
+}
+
+// Дата-ячейки → текст в формате luxon (dateFormat), только для текстовых выходов
+function applyDateFormat(ws, dateFormat) {
+  if (!dateFormat) return ws;
+  for (const [addr, cell] of Object.entries(ws)) {
+    if (addr[0] === '!' || cell.t !== 'd' || !(cell.v instanceof Date)) continue;
+    cell.w = DateTime.fromJSDate(cell.v).toFormat(dateFormat);
+  }
+  return ws;
+}
+
+function encodeText(text, { encoding, bom }) {
+  const cp = codepageOf(encoding);
+  if (cp === 65001) return Buffer.from((bom ? '\uFEFF' : '') + text, 'utf8');
+  return Buffer.from(cptable.utils.encode(cp, text));
+}
+
+// CSV/TSV листа построчно (XLSX.stream.to_csv); поток SheetJS всегда начинает с BOM — оставляем только для UTF-8 с bom
+async function* sheetTextRows(ws, target, { delimiter, encoding, bom }) {
+  const FS = target === 'tsv' ? '\t' : (delimiter || ',');
+  const rows = XLSX.stream.to_csv(ws, { FS, blankrows: false });
+  rows.setEncoding('utf8');
+  const keepBom = bom && codepageOf(encoding) === 65001;
+  let first = true;
+  for await (const chunk of rows) {
+    if (first && chunk === '\uFEFF') {
+      first = false;
+      if (!keepBom) continue;
+    }
+    first = false;
+    yield chunk;
+  }
+}
+
+function sheetText(ws, target, { delimiter }) {
+  if (target === 'html') return XLSX.utils.sheet_to_html(ws);
+  const FS = target === 'tsv' ? '\t' : (delimiter || ',');
+  return XLSX.utils.sheet_to_csv(ws, { FS, blankrows: false });
+}
+
+function zipFiles(files) {
+  const cfb = XLSX.CFB.utils.cfb_new();
+  for (const f of files) XLSX.CFB.utils.cfb_add(cfb, f.name, f.content);
+  return Buffer.from(XLSX.CFB.write(cfb, { type: 'buffer', fileType: 'zip', compression: true }));
+}
+
+/**
+ * Конвертация книги в target по выбранным листам.
+ * opts: { delimiter, encoding, bom, dateFormat, json: 'objects' | 'arrays' }
+ * Текстовые форматы при нескольких листах → zip по файлу на лист.
+ * Возвращает { body: Buffer, contentType, ext } или — для JSON и CSV/TSV одного листа —
+ * { write(stream), contentType, ext }: ответ пишется в поток по частям (stream.end() за вызывающим).
+ * xlsx / ods / html и zip собираются целиком — потокового writer'а у SheetJS для них нет.
+ */
+export function convertWorkbook(wb, target, sheets, opts = {}) {
+  const spec = CONVERT_TARGETS[target];
+
+  if (spec.bookType) {
+    const out = XLSX.utils.book_new();
+    for (const name of sheets) XLSX.utils.book_append_sheet(out, wb.Sheets[name], name);
+    return { body: XLSX.write(out, { type: 'buffer', bookType: spec.bookType }), contentType: spec.contentType, ext: spec.ext };
+  }
+
+  if (target === 'json') {
+    const asArrays = opts.json === 'arrays';
+    // с dateFormat даты отдаём отформатированным текстом, остальные значения — как есть
+    const fmt = v => (opts.dateFormat && v instanceof Date ? DateTime.fromJSDate(v).toFormat(opts.dateFormat) : v);
+    const render = name => XLSX.utils.sheet_to_json(wb.Sheets[name], { defval: '', ...(asArrays ? { header: 1 } : {}) })
+      .map(row => (Array.isArray(row)
+        ? row.map(fmt)
+        : Object.fromEntries(Object.entries(row).map(([k, v]) => [k, fmt(v)]))));
+    const data = sheets.length === 1
+      ? render(sheets[0])
+      : Object.fromEntries(sheets.map(name => [name, render(name)]));
+    return { write: stream => writeJson(stream, data), contentType: spec.contentType, ext: spec.ext };
+  }
+
+  const cp = codepageOf(opts.encoding);
+  const charset = cp === 65001 ? 'utf-8' : 'windows-1251';
+  if (sheets.length === 1 && target !== 'html') {
+    const ws = applyDateFormat(wb.Sheets[sheets[0]], opts.dateFormat);
+    return {
+      write: stream => writeChunks(stream, sheetTextRows(ws, target, opts), {
+        encode: cp === 65001 ? null : text => Buffer.from(cptable.utils.encode(cp, text))
+      }),
+      contentType: `${spec.contentType}; charset=${charset}`,
+      ext: spec.ext
+    };
+  }
+  const files = sheets.map((name, i) => ({
+    name: `${String(i + 1).padStart(2, '0')}_${asciiName(name)}.${spec.ext}`,
+    content: encodeText(
+      sheetText(applyDateFormat(wb.Sheets[name], opts.dateFormat), target, opts),
+      { ...opts, bom: opts.bom && target !== 'html' }   // BOM нужен только CSV/TSV для Excel
+    )
+  }));
+  if (files.length === 1) {
+    return { body: files[0].content, contentType: `${spec.contentType}; charset=${charset}`, ext: spec.ext };
+  }
+  return { body: zipFiles(files), contentType: ZIP_TYPE, ext: 'zip' };
+}
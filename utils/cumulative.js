@@ -1,56 +1,122 @@
 // utils/cumulative.js  (ESM)
 import { DateTime } from 'luxon';
 
-function round2(n) {
+export function round2(n) {
   return Math.round((n + Number.EPSILON) * 100) / 100;
 }
 
 /**
- * Точки по КАЖДОЙ транзакции: { ts, cumulative }
- * Пополнение ↑, расход ↓. Стартуем от 0.
+ * Медиана уже отсортированного по возрастанию массива чисел.
  */
-export function buildCumulativeTimeline(transactions, { tz = 'Asia/Bishkek' } = {}) {
-  const sorted = [...transactions].sort(
-    (a, b) =>
-      DateTime.fromISO(a.ts, { zone: tz }).toMillis() -
-      DateTime.fromISO(b.ts, { zone: tz }).toMillis()
-  );
-  let running = 0;
-  return sorted.map(t => {
-    running += t.amount; // расходы <0, пополнения >0
-    return { ts: t.ts, cumulative: round2(running) };
-  });
+export function sortedMedian(s) {
+  const m = Math.floor(s.length / 2);
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+export function median(list) {
+  return sortedMedian([...list].sort((a, b) => a - b));
+}
+
+/**
+ * Хронологический порядок: по ts, при равных ts — исходный порядок (строки выписки).
+ * У операций без времени ts — начало дня, так что внутри дня они идут как в выписке.
+ */
+export function chronological(transactions, tz = 'Asia/Bishkek') {
+  return transactions
+    .map((t, i) => ({ t, i, ms: DateTime.fromISO(t.ts, { zone: tz }).toMillis() }))
+    .sort((a, b) => a.ms - b.ms || a.i - b.i)
+    .map(x => x.t);
 }
 
+// шаг расписания для каденций recurring
+const CADENCE_STEPS = {
+  weekly: { step: { weeks: 1 } },
+  monthly: { step: { months: 1 } },
+  quarterly: { step: { months: 3 } }
+};
+
 /**
- * Значение cumulative на КОНЕЦ КАЖДОГО ДНЯ периода: { date, cumulativeClose }
+ * Прогноз остатка на days дней вперёд от последнего дня dailySpending.
+ * Модель: регулярные платежи (recurring[] из utils/recurring.js, только active) по их расписанию
+ * + базовый дневной поток вне регулярных: экспоненциально взвешенное среднее (тренд)
+ * с поправкой на день недели (сезонность) по последним historyDays дням.
+ * Полоса low/high — ±1.28σ·√k остатков модели (≈80%).
+ * amountOf(item) — сумма регулярного платежа в валюте dailySpending (null — пропустить).
+ * Возвращает forecast[]: { date, cumulative, low, high, net, recurring }.
  */
-export function attachDailyCumulativeClose(period, transactions, { tz = 'Asia/Bishkek' } = {}) {
-  const start = DateTime.fromISO(period.from, { zone: tz }).startOf('day');
-  const end   = DateTime.fromISO(period.to,   { zone: tz }).startOf('day');
-
-  const sorted = [...transactions].sort(
-    (a, b) =>
-      DateTime.fromISO(a.ts, { zone: tz }).toMillis() -
-      DateTime.fromISO(b.ts, { zone: tz }).toMillis()
-  );
-
-  const result = [];
-  let running = 0;
-  let ti = 0;
-
-  for (let d = start; d <= end; d = d.plus({ days: 1 })) {
-    const dayEnd = d.endOf('day');
-    while (ti < sorted.length) {
-      const ts = DateTime.fromISO(sorted[ti].ts, { zone: tz });
-      if (ts.toMillis() <= dayEnd.toMillis()) {
-        running += sorted[ti].amount;
-        ti += 1;
-      } else {
-        break;
-      }
+export function forecastCumulative(dailySpending, {
+  days = 30,
+  recurring = [],
+  tz = 'Asia/Bishkek',
+  historyDays = 90,
+  halfLifeDays = 14,
+  amountOf = item => item.averageAmount
+} = {}) {
+  if (!dailySpending.length || days <= 0) return [];
+  const last = dailySpending[dailySpending.length - 1];
+  const lastDay = DateTime.fromISO(last.date, { zone: tz });
+  const startBalance = last.cumulativeClose ?? 0;
+
+  // регулярные: даты в горизонте прогноза; их прошлые операции убираем из базы, чтобы не учесть дважды
+  const scheduled = new Map();
+  const pastRecurring = new Map();
+  const horizonEnd = lastDay.plus({ days });
+  for (const item of recurring) {
+    const spec = CADENCE_STEPS[item.cadence];
+    const amount = amountOf(item);
+    if (!spec || !item.active || amount === null || amount === undefined) continue;
+    const signed = item.direction === 'debit' ? -amount : amount;
+    for (const date of item.dates || []) pastRecurring.set(date, (pastRecurring.get(date) || 0) + signed);
+    for (let d = DateTime.fromISO(item.nextExpected, { zone: tz }); d <= horizonEnd; d = d.plus(spec.step)) {
+      if (d <= lastDay) continue;
+      const key = d.toISODate();
+      const slot = scheduled.get(key) || { amount: 0, items: [] };
+      slot.amount += signed;
+      slot.items.push(item.merchant);
+      scheduled.set(key, slot);
     }
-    result.push({ date: d.toISODate(), cumulativeClose: round2(running) });
   }
-  return result;
+
+  // база: дневной net без регулярных платежей
+  const history = dailySpending.slice(-historyDays).map(d => ({
+    weekday: DateTime.fromISO(d.date, { zone: tz }).weekday,
+    net: (d.credit - d.debit) - (pastRecurring.get(d.date) || 0)
+  }));
+  const decay = Math.log(2) / halfLifeDays;
+  let wSum = 0;
+  let level = 0;
+  history.forEach((h, i) => {
+    const w = Math.exp(-decay * (history.length - 1 - i));
+    wSum += w;
+    level += w * h.net;
+  });
+  level /= wSum;
+
+  const mean = history.reduce((s, h) => s + h.net, 0) / history.length;
+  const weekdayEffect = {};
+  for (let wd = 1; wd <= 7; wd++) {
+    const same = history.filter(h => h.weekday === wd);
+    weekdayEffect[wd] = same.length ? same.reduce((s, h) => s + h.net, 0) / same.length - mean : 0;
+  }
+  const residuals = history.map(h => h.net - mean - weekdayEffect[h.weekday]);
+  const sigma = Math.sqrt(residuals.reduce((s, r) => s + r * r, 0) / Math.max(residuals.length - 1, 1));
+
+  const out = [];
+  let running = startBalance;
+  for (let k = 1; k <= days; k++) {
+    const d = lastDay.plus({ days: k });
+    const slot = scheduled.get(d.toISODate());
+    const net = level + weekdayEffect[d.weekday] + (slot ? slot.amount : 0);
+    running += net;
+    const band = 1.28 * sigma * Math.sqrt(k);
+    out.push({
+      date: d.toISODate(),
+      cumulative: round2(running),
+      low: round2(running - band),
+      high: round2(running + band),
+      net: round2(net),
+      recurring: slot ? slot.items : []
+    });
+  }
+  return out;
 }
@@ -0,0 +1,60 @@
+// utils/dates.js  (ESM)
+// Порядок дня и месяца в датах выписки (01/02/2025 — 1 февраля или 2 января?)
+// и форматы luxon под найденный порядок.
+
+const NUMERIC_DATE_RE = /^\s*(\d{1,2})[./-](\d{1,2})[./-](\d{2,4})(?!\d)/;
+
+/**
+ * По значениям столбца даты: число > 12 в первой позиции — dmy, во второй — mdy.
+ * Если данные не решают (все числа ≤ 12) — порядок из профиля банка (dateOrder),
+ * иначе из локали; во втором случае ambiguous = true.
+ * Возвращает { order: 'dmy' | 'mdy', ambiguous, source: 'data' | 'profile' | 'locale', samples }.
+ */
+export function detectDateOrder(values, { profileOrder = null, locale = null } = {}) {
+  let dmy = 0;
+  let mdy = 0;
+  let samples = 0;
+  for (const v of values) {
+    if (typeof v !== 'string') continue;
+    const m = v.match(NUMERIC_DATE_RE);
+    if (!m) continue;
+    samples += 1;
+    if (Number(m[1]) > 12) dmy += 1;
+    else if (Number(m[2]) > 12) mdy += 1;
+  }
+  if (dmy && !mdy) return { order: 'dmy', ambiguous: false, source: 'data', samples };
+  if (mdy && !dmy) return { order: 'mdy', ambiguous: false, source: 'data', samples };
+  // ни одного решающего значения или противоречие в самих данных
+  if (profileOrder === 'dmy' || profileOrder === 'mdy') {
+    return { order: profileOrder, ambiguous: false, source: 'profile', samples };
+  }
+  return { order: locale?.dateOrder || 'dmy', ambiguous: samples > 0, source: 'locale', samples };
+}
+
+// формат luxon, где день стоит раньше месяца ("dd.LL.yyyy")
+const dayFirst = fmt => /d/.test(fmt) && /L/.test(fmt) && fmt.search(/d/) < fmt.search(/L/);
+const swapDayMonth = fmt => fmt.replace(/d+|L+/g, t => (t[0] === 'd' ? 'L' : 'd').repeat(t.length));
+
+function expand(formats, order) {
+  const out = [];
+  for (const f of formats || []) {
+    const base = order === 'mdy' && dayFirst(f) ? swapDayMonth(f) : f;
+    // тот же формат с "/" и "-" вместо точек
+    for (const v of [base, base.replace(/\./g, '/'), base.replace(/\./g, '-')]) {
+      if (!out.includes(v)) out.push(v);
+    }
+  }
+  return out;
+}
+
+/**
+ * Форматы профиля ({ dateTimeFormats, dateFormats, timeFormats }) под порядок дня/месяца:
+ * для mdy день и месяц меняются местами; добавляются варианты с "/" и "-".
+ */
+export function dateFormatsFor(profile, order) {
+  return {
+    dateTimeFormats: expand(profile.dateTimeFormats, order),
+    dateFormats: expand(profile.dateFormats, order),
+    timeFormats: profile.timeFormats
+  };
+}
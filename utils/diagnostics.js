@@ -0,0 +1,66 @@
+// utils/diagnostics.js  (ESM)
+// Диагностика разбора: почему строка таблицы не стала транзакцией.
+
+// причины пропуска строки (порядок — порядок проверок в statement.parseTransactions)
+export const SKIP_REASONS = {
+  EMPTY: 'empty',                            // пустая строка-разделитель
+  FOOTER: 'footer',                          // итоги/обороты/остаток
+  UNPARSEABLE_DATE: 'unparseable_date',      // дата не распознана ни одним форматом профиля
+  UNPARSEABLE_AMOUNT: 'unparseable_amount',  // в столбцах сумм нет числа
+  ZERO_AMOUNT: 'zero_amount'                 // суммы распознаны, но нет ни прихода, ни расхода
+};
+
+// в ?strict=1 запрос падает только на этих причинах: пустые строки и итоги — штатные
+export const STRICT_REASONS = [SKIP_REASONS.UNPARSEABLE_DATE, SKIP_REASONS.UNPARSEABLE_AMOUNT];
+
+function cellValue(v) {
+  return v instanceof Date ? v.toISOString() : v;
+}
+
+/**
+ * Запись о пропущенной строке. row — номер строки листа (1-based, как в Excel).
+ */
+export function skippedRow(row, reason, cells = []) {
+  return { row, reason, cells: cells.map(cellValue) };
+}
+
+function countReasons(rows) {
+  const counts = Object.fromEntries(Object.values(SKIP_REASONS).map(r => [r, 0]));
+  for (const r of rows) counts[r.reason] += 1;
+  return counts;
+}
+
+/**
+ * Диагностика одного листа: { skipped, counts: { [reason]: n }, rows, dateOrder, newestFirst }.
+ * dateOrder — dates.detectDateOrder(): ambiguous = порядок дня/месяца взят из локали;
+ * newestFirst — строки выписки шли от новых к старым (транзакции развёрнуты).
+ */
+export function sheetDiagnostics(skipped, { dateOrder = null, newestFirst = false } = {}) {
+  return { skipped: skipped.length, counts: countReasons(skipped), rows: skipped, dateOrder, newestFirst };
+}
+
+/**
+ * Сводная диагностика по счетам (строки помечены листом) для ответа API.
+ */
+export function mergeDiagnostics(accounts) {
+  const rows = accounts.flatMap(a => (a.diagnostics?.rows || []).map(r => ({ sheet: a.sheet, ...r })));
+  return {
+    skipped: rows.length,
+    counts: countReasons(rows),
+    rows,
+    // листы, где dd/mm vs mm/dd не решился по данным
+    ambiguousDates: accounts.filter(a => a.diagnostics?.dateOrder?.ambiguous).map(a => a.sheet)
+  };
+}
+
+/**
+ * ?strict=1: есть строки с нераспознанной датой/суммой → Error('UNPARSEABLE_ROWS'),
+ * список строк — в e.rows.
+ */
+export function assertStrict(accounts) {
+  const rows = mergeDiagnostics(accounts).rows.filter(r => STRICT_REASONS.includes(r.reason));
+  if (!rows.length) return;
+  const e = new Error('UNPARSEABLE_ROWS');
+  e.rows = rows;
+  throw e;
+}
@@ -0,0 +1,178 @@
+// utils/export.js  (ESM)
+// Выгрузка разобранных счетов (accounts[] из statement.parseWorkbook) в CSV / XLSX / OFX / QIF.
+import crypto from 'crypto';
+import XLSX from 'xlsx';
+import { DateTime } from 'luxon';
+import { writeChunk, writeChunks } from './stream.js';
+
+// нормализованные поля транзакции в порядке столбцов выгрузки
+const TX_COLUMNS = ['ts', 'timePrecision', 'date', 'description', 'amount', 'credit', 'debit', 'direction', 'currency', 'category'];
+
+export const EXPORT_FORMATS = {
+  csv: { ext: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { ext: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  ofx: { ext: 'ofx', contentType: 'application/x-ofx' },
+  qif: { ext: 'qif', contentType: 'application/qif' }
+};
+
+// CSV/formula injection: текст, начинающийся с = + - @ (или таба/CR), Excel считает формулой —
+// экранируем апострофом. Числа не трогаем.
+const FORMULA_PREFIX_RE = /^[=+\-@\t\r]/;
+
+export function neutralizeFormula(value) {
+  return typeof value === 'string' && FORMULA_PREFIX_RE.test(value) ? `'${value}` : value;
+}
+
+function safeRow(row) {
+  return Object.fromEntries(Object.entries(row).map(([k, v]) => [k, neutralizeFormula(v)]));
+}
+
+function txRows(accounts) {
+  return accounts.flatMap(a => a.transactions.map(t => safeRow({
+    account: a.sheet,
+    ...Object.fromEntries(TX_COLUMNS.map(k => [k, t[k] ?? '']))
+  })));
+}
+
+// ячейка CSV как у XLSX.utils.sheet_to_csv: числа — в формате General, кавычки — по необходимости
+function csvCell(value) {
+  const s = typeof value === 'number' ? XLSX.SSF.format('General', value) : String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// CSV построчно: заголовок, затем по строке на транзакцию (строки разделены \n, без \n в конце)
+function* csvLines(accounts) {
+  const header = ['account', ...TX_COLUMNS];
+  // BOM — чтобы Excel открыл кириллицу в UTF-8
+  yield '\uFEFF' + header.join(',');
+  for (const a of accounts) {
+    for (const t of a.transactions) {
+      const row = safeRow({ account: a.sheet, ...Object.fromEntries(TX_COLUMNS.map(k => [k, t[k] ?? ''])) });
+      yield '\n' + header.map(k => csvCell(row[k])).join(',');
+    }
+  }
+}
+
+function toXlsx(accounts) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    wb,
+    XLSX.utils.json_to_sheet(txRows(accounts), { header: ['account', ...TX_COLUMNS] }),
+    'Transactions'
+  );
+  XLSX.utils.book_append_sheet(
+    wb,
+    XLSX.utils.json_to_sheet(accounts.flatMap(a => a.dailySpending.map(d => safeRow({ account: a.sheet, ...d })))),
+    'DailySpending'
+  );
+
+  const totalsRows = [['account', 'currency', 'metric', 'category', 'value']];
+  for (const a of accounts) {
+    const { byCategory = {}, ...plain } = a.totals;
+    for (const [k, v] of Object.entries(plain)) totalsRows.push([a.sheet, a.currency, k, '', v]);
+    for (const [cat, c] of Object.entries(byCategory)) {
+      totalsRows.push([a.sheet, a.currency, 'credits', cat, c.credits]);
+      totalsRows.push([a.sheet, a.currency, 'debits', cat, c.debits]);
+    }
+  }
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(totalsRows.map(r => r.map(neutralizeFormula))), 'Totals');
+
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// --- OFX 1.02 (SGML) ---
+function ofxDate(ts) {
+  const dt = DateTime.fromISO(ts, { setZone: true });
+  const off = dt.offset / 60;
+  return `${dt.toFormat('yyyyLLddHHmmss')}[${off >= 0 ? '+' : ''}${off}:${dt.offsetNameShort}]`;
+}
+
+function ofxText(s, max = 255) {
+  return String(s ?? '').replace(/[<>&]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, max);
+}
+
+// стабильный FITID: одна и та же операция при повторной выгрузке получает тот же id
+function fitId(t) {
+  return crypto.createHash('sha1').update(`${t.ts}|${t.amount}|${t.description}`).digest('hex').slice(0, 24);
+}
+
+function toOfx(accounts) {
+  const now = ofxDate(DateTime.now().toISO());
+  const statements = accounts.map((a, i) => {
+    const txs = a.transactions.map(t => [
+      '<STMTTRN>',
+      `<TRNTYPE>${t.amount < 0 ? 'DEBIT' : 'CREDIT'}`,
+      `<DTPOSTED>${ofxDate(t.ts)}`,
+      `<TRNAMT>${t.amount.toFixed(2)}`,
+      `<FITID>${fitId(t)}`,
+      `<NAME>${ofxText(t.merchant || t.description, 32)}`,
+      `<MEMO>${ofxText(t.description)}`,
+      '</STMTTRN>'
+    ].join('\n')).join('\n');
+
+    const last = a.timeline[a.timeline.length - 1];
+    return [
+      '<STMTTRNRS>',
+      `<TRNUID>${i + 1}`,
+      '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+      '<STMTRS>',
+      `<CURDEF>${a.currency}`,
+      `<BANKACCTFROM><BANKID>${ofxText(a.bank, 9)}<ACCTID>${ofxText(a.sheet, 22)}<ACCTTYPE>CHECKING</BANKACCTFROM>`,
+      '<BANKTRANLIST>',
+      `<DTSTART>${a.period.from ? a.period.from.replace(/-/g, '') : ''}`,
+      `<DTEND>${a.period.to ? a.period.to.replace(/-/g, '') : ''}`,
+      txs,
+      '</BANKTRANLIST>',
+      `<LEDGERBAL><BALAMT>${(a.closingBalance ?? last?.cumulative ?? 0).toFixed(2)}<DTASOF>${last ? ofxDate(last.ts) : now}</LEDGERBAL>`,
+      '</STMTRS>',
+      '</STMTTRNRS>'
+    ].join('\n');
+  }).join('\n');
+
+  const body = [
+    'OFXHEADER:100', 'DATA:OFXSGML', 'VERSION:102', 'SECURITY:NONE', 'ENCODING:UTF-8',
+    'CHARSET:NONE', 'COMPRESSION:NONE', 'OLDFILEUID:NONE', 'NEWFILEUID:NONE', '',
+    '<OFX>',
+    `<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0<SEVERITY>INFO</STATUS><DTSERVER>${now}<LANGUAGE>RUS</SONRS></SIGNONMSGSRSV1>`,
+    '<BANKMSGSRSV1>',
+    statements,
+    '</BANKMSGSRSV1>',
+    '</OFX>',
+    ''
+  ].join('\n');
+  return Buffer.from(body, 'utf8');
+}
+
+// --- QIF ---
+function toQif(accounts) {
+  const lines = [];
+  for (const a of accounts) {
+    lines.push('!Account', `N${a.sheet}`, 'TBank', '^', '!Type:Bank');
+    for (const t of a.transactions) {
+      lines.push(
+        `D${DateTime.fromISO(t.date).toFormat('LL/dd/yyyy')}`,
+        `T${t.amount.toFixed(2)}`,
+        `P${(t.merchant || t.description).replace(/\r?\n/g, ' ')}`,
+        `M${t.description.replace(/\r?\n/g, ' ')}`,
+        ...(t.category ? [`L${t.category}`] : []),
+        '^'
+      );
+    }
+  }
+  return Buffer.from(lines.join('\n') + '\n', 'utf8');
+}
+
+// CSV пишется построчно из csvLines, остальные форматы собираются целиком
+const RENDERERS = { xlsx: toXlsx, ofx: toOfx, qif: toQif };
+
+/**
+ * Выгрузка сразу в поток (HTTP-ответ): CSV пишется построчно, остальные форматы — готовым телом.
+ * Неизвестный формат → false. Поток не закрывается — end() за вызывающим.
+ */
+export async function writeExport(format, accounts, stream) {
+  const key = String(format || '').toLowerCase();
+  if (key === 'csv') await writeChunks(stream, csvLines(accounts));
+  else if (RENDERERS[key]) await writeChunk(stream, RENDERERS[key](accounts));
+  else return false;
+  return true;
+}
@@ -0,0 +1,73 @@
+// utils/filename.js  (ESM)
+// Имена файлов из загрузок: очистка исходного имени, ASCII-вариант и Content-Disposition (RFC 6266 / 5987).
+
+// zip не умеет UTF-8 имена (без флага), старые клиенты — filename*: транслитерируем
+const TRANSLIT = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y', к: 'k',
+  л: 'l', м: 'm', н: 'n', ң: 'ng', о: 'o', ө: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ү: 'u',
+  ф: 'f', х: 'h', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'sch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya'
+};
+
+const MAX_NAME_LENGTH = 150;
+
+/**
+ * Транслитерация кириллицы и замена остальных символов на "_" (имена внутри zip, ASCII-fallback).
+ */
+export function asciiName(name, fallback = 'sheet') {
+  return String(name)
+    .split('')
+    .map(ch => {
+      const low = ch.toLowerCase();
+      if (!(low in TRANSLIT)) return ch;
+      const t = TRANSLIT[low];
+      return ch === low ? t : t.charAt(0).toUpperCase() + t.slice(1);
+    })
+    .join('')
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/^_+|_+$/g, '') || fallback;
+}
+
+/**
+ * multer (busboy) отдаёт имя файла из multipart как latin1; браузеры шлют UTF-8 — перекодируем,
+ * если байты складываются в корректный UTF-8.
+ */
+export function decodeUploadName(name) {
+  const s = String(name ?? '');
+  if (!/[\u0080-\u00ff]/.test(s) || /[^\u0000-\u00ff]/.test(s)) return s;
+  const utf8 = Buffer.from(s, 'latin1').toString('utf8');
+  return utf8.includes('\ufffd') ? s : utf8;
+}
+
+/**
+ * Исходное имя загрузки → безопасное имя (кириллица сохраняется): без каталогов,
+ * управляющих символов, кавычек и ведущих точек; не длиннее MAX_NAME_LENGTH.
+ */
+export function safeFilename(name, fallback = 'file') {
+  const base = String(name ?? '').normalize('NFC').split(/[\\/]/).pop();
+  const clean = base
+    .replace(/[\u0000-\u001f\u007f"*:<>?|;]+/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|\s+$/g, '');
+  if (!clean) return fallback;
+  if (clean.length <= MAX_NAME_LENGTH) return clean;
+  const ext = (clean.match(/\.[\w]{1,8}$/) || [''])[0];
+  return clean.slice(0, MAX_NAME_LENGTH - ext.length) + ext;
+}
+
+// RFC 5987: percent-encoding UTF-8, кроме attr-char
+function encodeRfc5987(value) {
+  return encodeURIComponent(value).replace(/['()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+/**
+ * Заголовок Content-Disposition для скачивания: ASCII filename= для старых клиентов
+ * и filename*=UTF-8'' с исходным (очищенным) именем.
+ */
+export function contentDisposition(name, fallback = 'download') {
+  const safe = safeFilename(name, fallback);
+  const dot = safe.lastIndexOf('.');
+  const ascii = dot > 0
+    ? `${asciiName(safe.slice(0, dot), fallback)}.${asciiName(safe.slice(dot + 1), 'bin')}`
+    : asciiName(safe, fallback);
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeRfc5987(safe)}`;
+}
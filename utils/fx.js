@@ -0,0 +1,148 @@
+// utils/fx.js  (ESM)
+// Валюты операций и локальная таблица курсов (CSV из запроса или JSON-файл FX_RATES_PATH).
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const RATES_PATH = process.env.FX_RATES_PATH
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'fx-rates.json');
+
+// Коды и их написания в выписках (символы, сокращения)
+const CURRENCY_ALIASES = {
+  KGS: ['KGS', 'СОМ', 'СОМ.'],
+  USD: ['USD', '$', 'US$'],
+  EUR: ['EUR', '€'],
+  RUB: ['RUB', 'RUR', '₽', 'РУБ', 'РУБ.'],
+  KZT: ['KZT', '₸', 'ТЕНГЕ', 'ТГ']
+};
+
+export const CURRENCY_CODES = Object.keys(CURRENCY_ALIASES);
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const ALIAS_LIST = Object.entries(CURRENCY_ALIASES)
+  .flatMap(([code, aliases]) => aliases.map(a => ({ code, alias: a })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+// префикс/суффикс валюты у суммы: "1 500,00 USD", "$1,500.00", "1500 сом"
+const AMOUNT_CUR_RE = new RegExp(
+  `^\\s*(${ALIAS_LIST.map(a => escapeRe(a.alias)).join('|')})?\\s*([-+(]?[\\d\\s\\u00a0.,]+\\)?-?)\\s*(${ALIAS_LIST.map(a => escapeRe(a.alias)).join('|')})?\\s*$`,
+  'i'
+);
+
+/**
+ * Код валюты по строке ('usd', '$', 'сом') или null.
+ */
+export function normalizeCurrency(val) {
+  const s = String(val ?? '').trim().toUpperCase();
+  if (!s) return null;
+  const hit = ALIAS_LIST.find(a => a.alias === s);
+  return hit ? hit.code : null;
+}
+
+/**
+ * Отделяет валюту от суммы: { value: строка без валюты, currency: код | null }.
+ * Числа (ячейки Excel) возвращаются как есть.
+ */
+export function splitAmountCurrency(raw) {
+  if (typeof raw !== 'string') return { value: raw, currency: null };
+  const m = raw.match(AMOUNT_CUR_RE);
+  if (!m) return { value: raw, currency: null };
+  const currency = normalizeCurrency(m[1] || m[3]);
+  return { value: m[2].trim(), currency };
+}
+
+/**
+ * Первый код валюты, встретившийся в тексте (имя листа, шапка выписки), или null.
+ */
+export function findCurrencyCode(text) {
+  const s = String(text ?? '').toUpperCase();
+  return CURRENCY_CODES.find(c => new RegExp(`(^|[^A-Z])${c}([^A-Z]|$)`).test(s)) || null;
+}
+
+/**
+ * CSV курсов: "date,currency,rate" (date можно опустить), разделитель , или ;
+ * rate — стоимость 1 единицы валюты в валюте-пивоте таблицы.
+ */
+export function parseRatesCsv(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (!lines.length) return [];
+  const sep = lines[0].includes(';') ? ';' : ',';
+  const head = lines[0].split(sep).map(h => h.trim().toLowerCase());
+  const iDate = head.indexOf('date');
+  const iCur = head.indexOf('currency');
+  const iRate = head.indexOf('rate');
+  if (iCur === -1 || iRate === -1) throw new Error('FX_RATES_INVALID');
+
+  return lines.slice(1).map(line => {
+    const cells = line.split(sep).map(c => c.trim());
+    return {
+      date: iDate === -1 ? null : (cells[iDate] || null),
+      currency: normalizeCurrency(cells[iCur]) || cells[iCur].toUpperCase(),
+      rate: Number(String(cells[iRate]).replace(',', '.'))
+    };
+  }).filter(r => r.currency && Number.isFinite(r.rate) && r.rate > 0);
+}
+
+/**
+ * Курсы из локального JSON: { "pivot": "KGS", "rates": [{ "date", "currency", "rate" }] }.
+ * Нет файла → пустая таблица.
+ */
+export async function loadRatesFile(file = RATES_PATH) {
+  try {
+    const json = JSON.parse(await fs.readFile(file, 'utf8'));
+    return { pivot: json.pivot || 'KGS', entries: json.rates || [] };
+  } catch (e) {
+    if (e.code === 'ENOENT') return { pivot: 'KGS', entries: [] };
+    throw e;
+  }
+}
+
+/**
+ * Таблица курсов: CSV-текст (курсы к KGS) или, без него, локальный JSON (FX_RATES_PATH).
+ */
+export async function resolveRates(csvText = null) {
+  if (csvText) return createRateTable(parseRatesCsv(csvText), 'KGS');
+  const { pivot, entries } = await loadRatesFile();
+  return createRateTable(entries, pivot);
+}
+
+/**
+ * Таблица курсов с выбором курса на дату: последний курс не позже даты,
+ * иначе курс без даты. convert() возвращает null, если курса нет.
+ */
+export function createRateTable(entries, pivot = 'KGS') {
+  const byCur = new Map();
+  for (const e of entries) {
+    const list = byCur.get(e.currency) || [];
+    list.push({ date: e.date || null, rate: Number(e.rate) });
+    byCur.set(e.currency, list);
+  }
+  for (const list of byCur.values()) {
+    list.sort((a, b) => String(a.date ?? '').localeCompare(String(b.date ?? '')));
+  }
+
+  function rateFor(currency, date) {
+    if (currency === pivot) return 1;
+    const list = byCur.get(currency);
+    if (!list) return null;
+    let undated = null, hit = null;
+    for (const r of list) {
+      if (r.date === null) undated = r.rate;
+      else if (!date || r.date <= date) hit = r.rate;
+    }
+    return hit ?? undated;
+  }
+
+  function convert(amount, from, to, date) {
+    if (from === to) return amount;
+    const rf = rateFor(from, date);
+    const rt = rateFor(to, date);
+    if (rf === null || rt === null) return null;
+    return Number((amount * rf / rt).toFixed(2));
+  }
+
+  return { pivot, size: entries.length, rateFor, convert };
+}
@@ -0,0 +1,89 @@
+// utils/header.js  (ESM)
+
+// Строки-«подвалы» выписки: итоги, обороты, исходящий остаток
+const FOOTER_RE = /^(итого|всего|обороты|остаток на конец|исходящий остаток|total|closing balance)/i;
+
+function norm(v) {
+  return String(v ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function findCell(cells, keys) {
+  for (const k of keys || []) {
+    const idx = cells.indexOf(norm(k));
+    if (idx !== -1) return idx;
+  }
+  return -1;
+}
+
+// сколько первых строк листа просматриваем в поисках заголовка
+export const HEADER_SCAN_ROWS = 50;
+
+/**
+ * Ищем строку заголовка среди первых maxScan строк листа (aoa — строки-массивы, rows.sheetHead).
+ * Каждую строку оцениваем по спискам синонимов профиля (columns): date / desc / income / expense.
+ * Возвращает { headerIndex, confidence (0..1), mapping: { group -> имя столбца } }.
+ * headerIndex = -1, если нет ни одной строки с датой и суммой.
+ */
+export function detectHeaderRow(aoa, cols, { maxScan = HEADER_SCAN_ROWS } = {}) {
+  const groups = {
+    date: cols.date,
+    desc: cols.desc,
+    income: cols.income,
+    expense: cols.expense
+  };
+  const total = Object.keys(groups).length;
+
+  let best = { headerIndex: -1, confidence: 0, mapping: {} };
+  const limit = Math.min(maxScan, aoa.length);
+
+  for (let i = 0; i < limit; i++) {
+    const row = aoa[i] || [];
+    const cells = row.map(norm);
+    const mapping = {};
+    let hits = 0;
+
+    for (const [group, keys] of Object.entries(groups)) {
+      const idx = findCell(cells, keys);
+      if (idx !== -1) {
+        mapping[group] = String(row[idx]).trim();
+        hits += 1;
+      }
+    }
+    // без даты и хотя бы одной суммы это не заголовок таблицы операций
+    if (!mapping.date || (!mapping.income && !mapping.expense)) continue;
+
+    const timeIdx = findCell(cells, cols.time);
+    if (timeIdx !== -1) mapping.time = String(row[timeIdx]).trim();
+
+    const confidence = hits / total;
+    if (confidence > best.confidence) best = { headerIndex: i, confidence, mapping };
+    if (confidence === 1) break;
+  }
+
+  best.confidence = Number(best.confidence.toFixed(2));
+  return best;
+}
+
+/**
+ * Индекс последней строки данных (включительно) после заголовка.
+ * rows — строки после заголовка парами [индекс, cells] (rows.sheetRows), читаются до подвала.
+ * Пустые строки-разделители пропускаем, на первой строке итогов/подвала останавливаемся.
+ */
+export function detectDataEnd(rows, headerIndex) {
+  let end = headerIndex;
+  for (const [i, cells] of rows) {
+    const first = (cells || []).find(c => norm(c) !== '');
+    if (first === undefined) continue;
+    if (isFooterRow(cells)) break;
+    end = i;
+  }
+  return end;
+}
+
+/**
+ * Строка-«подвал» (итоги/обороты/остаток): первая непустая ячейка совпадает с FOOTER_RE.
+ */
+export function isFooterRow(cells) {
+  const first = (cells || []).find(c => norm(c) !== '');
+  return first !== undefined && FOOTER_RE.test(norm(first));
+}
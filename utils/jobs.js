@@ -0,0 +1,192 @@
+// utils/jobs.js  (ESM)
+// Очередь фоновых задач разбора: ограниченный пул worker_threads,
+// результаты — JSON-файлы в локальном каталоге, удаляются по TTL.
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { v4 as uuidv4 } from 'uuid';
+import { log } from './logger.js';
+
+const now = () => new Date().toISOString();
+
+// имя файла результата задачи: <uuid>.json — остальные файлы каталога не наши
+const RESULT_FILE_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.json$/i;
+
+// столько воркеров подряд упали (не ошибка разбора) → очередь неготова
+const WORKER_FAILED_LIMIT = 3;
+
+/**
+ * dir — каталог результатов; workerFile — скрипт воркера (workers/parseWorker.js);
+ * concurrency — сколько задач разбираются одновременно; maxQueued — лимит ожидающих задач.
+ * Загруженный файл задачи удаляется по её завершению (успех или ошибка).
+ * onFinish(job) — после завершения задачи (done: результат уже в job.resultPath; failed: код в job.error).
+ */
+export function createJobQueue({ dir, workerFile, concurrency = 1, ttlMs = 60 * 60 * 1000, maxQueued = 100, onFinish = null }) {
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+  let workerFailures = 0;   // подряд упавших воркеров (не ошибок разбора)
+
+  // результаты прошлого запуска недоступны (статусы — в памяти): удаляем их, и только их —
+  // каталог может быть общим с хранилищем выписок или файлом ключей
+  fsSync.mkdirSync(dir, { recursive: true });
+  for (const name of fsSync.readdirSync(dir)) {
+    if (RESULT_FILE_RE.test(name)) fsSync.rmSync(path.join(dir, name), { force: true });
+  }
+
+  function finish(job, patch) {
+    Object.assign(job, patch, {
+      finishedAt: now(),
+      expiresAt: new Date(Date.now() + ttlMs).toISOString()
+    });
+    running -= 1;
+    fs.unlink(job.input.filePath).catch(() => {});
+    job.input = null;
+    if (job.status === 'failed') log.error('jobs.failed', { job: job.id, rid: job.requestId, code: job.error });
+    else log.info('jobs.done', { job: job.id, rid: job.requestId, rows: job.rows, parseMs: job.parseMs });
+    workerFailures = job.error === 'WORKER_FAILED' ? workerFailures + 1 : 0;
+    onFinish?.(job);
+    next();
+  }
+
+  function start(job) {
+    running += 1;
+    job.status = 'running';
+    job.startedAt = now();
+
+    const { filePath, file, requestId, options } = job.input;
+    const worker = new Worker(workerFile, {
+      workerData: { filePath, resultPath: job.resultPath, file, requestId, options }
+    });
+    let settled = false;
+    const settle = patch => {
+      if (settled) return;
+      settled = true;
+      finish(job, patch);
+    };
+
+    worker.on('message', msg => {
+      if (msg.type === 'progress') {
+        job.progress = msg.progress;
+        job.stage = msg.stage;
+      } else if (msg.type === 'done') {
+        settle({ status: 'done', progress: 1, stage: 'done', rows: msg.rows, parseMs: msg.parseMs, bank: msg.bank, skipped: msg.skipped });
+      } else if (msg.type === 'error') {
+        settle({ status: 'failed', stage: 'failed', error: msg.error, errorRows: msg.rows });
+      }
+    });
+    worker.on('error', e => {
+      log.error('jobs.worker_error', { job: job.id, rid: job.requestId }, e);
+      settle({ status: 'failed', stage: 'failed', error: 'WORKER_FAILED' });
+    });
+    worker.on('exit', () => settle({ status: 'failed', stage: 'failed', error: 'WORKER_FAILED' }));
+  }
+
+  function next() {
+    while (running < concurrency && pending.length) start(pending.shift());
+  }
+
+  function stats() {
+    return { queued: pending.length, running, total: jobs.size, concurrency };
+  }
+
+  // просроченные задачи и их результаты
+  async function sweep() {
+    const t = Date.now();
+    for (const [id, job] of jobs) {
+      if (!job.expiresAt || Date.parse(job.expiresAt) > t) continue;
+      jobs.delete(id);
+      try { await fs.unlink(job.resultPath); } catch {}
+    }
+  }
+  const timer = setInterval(sweep, Math.min(ttlMs, 60 * 1000));
+  timer.unref();
+
+  return {
+    /**
+     * Поставить разбор в очередь. input: { filePath, file: { name, size }, requestId, keyId, options }.
+     * Очередь переполнена → null (файл остаётся за вызывающим).
+     */
+    submit(input) {
+      if (pending.length >= maxQueued) return null;
+      const id = uuidv4();
+      const job = {
+        id,
+        status: 'queued',
+        progress: 0,
+        stage: 'queued',
+        error: null,
+        errorRows: null,   // строки, на которых упал ?strict=1
+        file: input.file,
+        requestId: input.requestId,
+        keyId: input.keyId ?? null,   // ключ API, создавший задачу
+        rows: null,
+        parseMs: null,
+        createdAt: now(),
+        startedAt: null,
+        finishedAt: null,
+        expiresAt: null,
+        input,
+        resultPath: path.join(dir, `${id}.json`)
+      };
+      jobs.set(id, job);
+      pending.push(job);
+      next();
+      return job;
+    },
+
+    /**
+     * Задача по id (внутренний объект) или null.
+     */
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    /**
+     * Публичное представление задачи (без путей и входных данных).
+     */
+    view(job) {
+      const position = pending.indexOf(job);
+      return {
+        jobId: job.id,
+        status: job.status,
+        progress: job.progress,
+        stage: job.stage,
+        error: job.error,
+        file: job.file,
+        rows: job.rows,
+        parseMs: job.parseMs,
+        ...(position >= 0 ? { queuePosition: position + 1 } : {}),
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        expiresAt: job.expiresAt
+      };
+    },
+
+    stats,
+
+    /**
+     * Готовность очереди: каталог результатов доступен на запись, очередь не переполнена,
+     * воркеры не падают подряд (WORKER_FAILED_LIMIT раз).
+     */
+    async health() {
+      const checks = { ...stats(), maxQueued, workerFailures };
+      const probe = path.join(dir, `.probe-${process.pid}`);
+      try {
+        await fs.writeFile(probe, '');
+        await fs.unlink(probe);
+        checks.dirWritable = true;
+      } catch {
+        checks.dirWritable = false;
+      }
+      checks.ok = checks.dirWritable && pending.length < maxQueued && workerFailures < WORKER_FAILED_LIMIT;
+      return checks;
+    },
+
+    close() {
+      clearInterval(timer);
+    }
+  };
+}
@@ -0,0 +1,53 @@
+// utils/locale.js  (ESM)
+// Региональные настройки разбора: часовой пояс и локаль (десятичный разделитель, порядок дня/месяца).
+// Значения — из ?tz= / ?locale=, иначе из профиля банка (zone, locale).
+import { DateTime } from 'luxon';
+
+export const DEFAULT_ZONE = 'Asia/Bishkek';
+export const DEFAULT_LOCALE = 'ru';
+
+// decimal — десятичный разделитель; dateOrder — порядок в «01/02/2025»: dmy | mdy;
+// weekStart — первый день недели (1 = пн … 7 = вс), по умолчанию понедельник
+const LOCALES = {
+  ru: { decimal: ',', dateOrder: 'dmy' },
+  ky: { decimal: ',', dateOrder: 'dmy' },
+  kk: { decimal: ',', dateOrder: 'dmy' },
+  uz: { decimal: ',', dateOrder: 'dmy' },
+  uk: { decimal: ',', dateOrder: 'dmy' },
+  de: { decimal: ',', dateOrder: 'dmy' },
+  fr: { decimal: ',', dateOrder: 'dmy' },
+  tr: { decimal: ',', dateOrder: 'dmy' },
+  en: { decimal: '.', dateOrder: 'dmy' },
+  'en-us': { decimal: '.', dateOrder: 'mdy', weekStart: 7 },
+  zh: { decimal: '.', dateOrder: 'dmy' }
+};
+
+/**
+ * Локаль по тегу ("ru", "en-US", "ky_KG"): сначала полный тег, затем язык.
+ * Неизвестная → null.
+ */
+export function resolveLocale(tag) {
+  const key = String(tag ?? '').trim().toLowerCase().replace('_', '-');
+  if (!key) return null;
+  const hit = LOCALES[key] || LOCALES[key.split('-')[0]];
+  return hit ? { tag: key, weekStart: 1, ...hit } : null;
+}
+
+/**
+ * IANA-зона ("Asia/Almaty", "UTC"); неизвестная → null.
+ */
+export function resolveZone(tz) {
+  const s = String(tz ?? '').trim();
+  if (!s) return null;
+  return DateTime.now().setZone(s).isValid ? s : null;
+}
+
+/**
+ * Зона и локаль разбора: явные tz/locale (уже проверенные) или значения профиля банка.
+ */
+export function resolveRegion(profile, { tz = null, locale = null } = {}) {
+  return {
+    zone: resolveZone(tz) || resolveZone(profile?.zone) || DEFAULT_ZONE,
+    locale: resolveLocale(locale) || resolveLocale(profile?.locale) || resolveLocale(DEFAULT_LOCALE)
+  };
+}
@@ -0,0 +1,40 @@
+// utils/logger.js  (ESM)
+// Структурированные логи: одна JSON-строка на событие — { time, level, event, rid?, ...поля }.
+// info/warn → stdout, error → stderr. LOG_LEVEL=debug|info|warn|error (по умолчанию info).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+
+function errorFields(err) {
+  if (!err) return undefined;
+  if (!(err instanceof Error)) return { message: String(err) };
+  return { message: err.message, ...(err.code ? { code: err.code } : {}), stack: err.stack };
+}
+
+/**
+ * Строка лога без перевода строки (для morgan и write).
+ */
+export function formatLine(level, event, fields = {}, err = null) {
+  const { error, ...rest } = fields;
+  return JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    event,
+    ...rest,
+    ...(err || error ? { error: errorFields(err || error) } : {})
+  });
+}
+
+function write(level, event, fields, err) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const line = formatLine(level, event, fields, err) + '\n';
+  if (level === 'error') process.stderr.write(line);
+  else process.stdout.write(line);
+}
+
+export const log = {
+  debug: (event, fields) => write('debug', event, fields),
+  info: (event, fields) => write('info', event, fields),
+  warn: (event, fields, err) => write('warn', event, fields, err),
+  error: (event, fields, err) => write('error', event, fields, err)
+};
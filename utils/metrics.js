@@ -0,0 +1,101 @@
+// utils/metrics.js  (ESM)
+// Минимальный реестр метрик в текстовом формате Prometheus (exposition format 0.0.4):
+// счётчики и гистограммы с метками, gauge — значения снимаются при каждом сборе.
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(names, values, extra = '') {
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+function labelValues(names, labels = {}) {
+  return names.map(n => labels[n] ?? '');
+}
+
+function counter(name, help, labelNames) {
+  const series = new Map();
+  return {
+    inc(labels = {}, value = 1) {
+      const values = labelValues(labelNames, labels);
+      const key = JSON.stringify(values);
+      const s = series.get(key) || { values, value: 0 };
+      s.value += value;
+      series.set(key, s);
+    },
+    render() {
+      return [
+        ...header(name, help, 'counter'),
+        ...[...series.values()].map(s => `${name}${labelText(labelNames, s.values)} ${s.value}`)
+      ];
+    }
+  };
+}
+
+function histogram(name, help, labelNames, buckets) {
+  const series = new Map();
+  return {
+    observe(labels = {}, value) {
+      if (!Number.isFinite(value)) return;
+      const values = labelValues(labelNames, labels);
+      const key = JSON.stringify(values);
+      const s = series.get(key) || { values, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((b, i) => { if (value <= b) s.counts[i] += 1; });
+      s.sum += value;
+      s.count += 1;
+      series.set(key, s);
+    },
+    render() {
+      const lines = header(name, help, 'histogram');
+      for (const s of series.values()) {
+        buckets.forEach((b, i) => lines.push(`${name}_bucket${labelText(labelNames, s.values, `le="${b}"`)} ${s.counts[i]}`));
+        lines.push(`${name}_bucket${labelText(labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${name}_sum${labelText(labelNames, s.values)} ${s.sum}`);
+        lines.push(`${name}_count${labelText(labelNames, s.values)} ${s.count}`);
+      }
+      return lines;
+    }
+  };
+}
+
+// collect() → число или [{ labels, value }]
+function gauge(name, help, labelNames, collect) {
+  return {
+    render() {
+      const out = collect();
+      const list = Array.isArray(out) ? out : [{ labels: {}, value: out }];
+      return [
+        ...header(name, help, 'gauge'),
+        ...list.map(s => `${name}${labelText(labelNames, labelValues(labelNames, s.labels))} ${s.value}`)
+      ];
+    }
+  };
+}
+
+/**
+ * Реестр метрик: counter / histogram / gauge регистрируются по имени, render() — текст для /metrics.
+ */
+export function createRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+  const add = m => {
+    metrics.push(m);
+    return m;
+  };
+  return {
+    counter: (name, help, labelNames = []) => add(counter(prefix + name, help, labelNames)),
+    histogram: (name, help, labelNames = [], buckets) => add(histogram(prefix + name, help, labelNames, buckets)),
+    gauge: (name, help, labelNames, collect) => add(gauge(prefix + name, help, labelNames, collect)),
+    render() {
+      return metrics.flatMap(m => m.render()).join('\n') + '\n';
+    }
+  };
+}
@@ -0,0 +1,67 @@
+// utils/number.js  (ESM)
+// Разбор сумм из выписок: разделители тысяч (пробел, NBSP, точка, запятая, апостроф),
+// десятичная точка/запятая, знак (+/-, минус в конце, «−»), бухгалтерские скобки, символы валют.
+
+// пробелы любых видов (в т.ч. NBSP U+00A0, узкий U+202F, тонкий U+2009) и апострофы 1'234.56
+const GROUP_CHARS_RE = /[\s'’]/g;
+// всё нечисловое по краям: символы и коды валют ("$", "сом", "KGS")
+const EDGE_JUNK_RE = /^[^\d+\-−(.,]+|[^\d\-−).,]+$/g;
+
+// десятичный разделитель: оба знака — десятичный последний; один знак несколько раз — это тысячи;
+// один раз и ровно 3 цифры после — неоднозначно, решает preferred (профиль банка или локаль);
+// null — дробной части нет
+function inferDecimal(s, preferred) {
+  const comma = s.lastIndexOf(',');
+  const dot = s.lastIndexOf('.');
+  if (comma >= 0 && dot >= 0) return comma > dot ? ',' : '.';
+  const sep = comma >= 0 ? ',' : dot >= 0 ? '.' : null;
+  if (!sep) return null;
+  if (s.indexOf(sep) !== s.lastIndexOf(sep)) return null;
+  const digitsAfter = s.length - s.lastIndexOf(sep) - 1;
+  if (digitsAfter !== 3) return sep;
+  return (preferred || ',') === sep ? sep : null;
+}
+
+/**
+ * Строка суммы → число (NaN, если это не число). Числа возвращаются как есть.
+ * Разделители определяются по самой строке («1500.00» — десятичная точка при любом профиле);
+ * только неоднозначные «1,234» / «1.234» решает format.decimal профиля банка, без него — locale
+ * (utils/locale.resolveLocale()).
+ */
+export function parseAmount(val, { format = null, locale = null } = {}) {
+  if (typeof val === 'number') return val;
+  if (typeof val !== 'string') return NaN;
+  let s = val.trim();
+  if (!s) return NaN;
+
+  s = s.replace(EDGE_JUNK_RE, '').replace(GROUP_CHARS_RE, '').replace(/−/g, '-');
+
+  let negative = false;
+  // (500.00) и -(500.00) — отрицательная сумма
+  const paren = s.match(/^-?\((.*)\)$/);
+  if (paren) {
+    negative = true;
+    s = paren[1];
+  }
+  if (/^[+-]/.test(s)) {
+    negative = negative || s[0] === '-';
+    s = s.slice(1);
+  } else if (/-$/.test(s)) {
+    // «500.00-» — минус в конце (выгрузки 1С и SAP)
+    negative = true;
+    s = s.slice(0, -1);
+  }
+  // символ валюты между знаком и числом: «-$45.00», «(₸ 2 000)»
+  s = s.replace(EDGE_JUNK_RE, '');
+
+  const decimal = inferDecimal(s, format?.decimal || locale?.decimal);
+  if (decimal) {
+    s = s.split(decimal === ',' ? '.' : ',').join('').replace(decimal, '.');
+  } else {
+    s = s.replace(/[.,]/g, '');   // разделитель только тысяч
+  }
+
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(s)) return NaN;
+  const n = Number(s);
+  return negative ? -n : n;
+}
@@ -0,0 +1,99 @@
+// utils/periods.js  (ESM)
+// Агрегация dailySpending (уже с заполненными пустыми днями и cumulativeClose) по неделям,
+// месяцам и кварталам + сравнение с прошлым периодом и тем же периодом год назад.
+import { DateTime } from 'luxon';
+import { round2 } from './cumulative.js';
+
+export const GROUP_BY = ['day', 'week', 'month', 'quarter'];
+
+// iso — ISO-неделя (пн, ключ 2025-W37); locale — первый день недели локали; mon/sun/sat — явно
+const WEEK_STARTS = { mon: 1, sun: 7, sat: 6 };
+export const WEEK_START_OPTIONS = ['iso', 'locale', ...Object.keys(WEEK_STARTS)];
+
+// начало корзины и её ключ
+function bucketing(groupBy, weekStart) {
+  if (groupBy === 'week') {
+    if (weekStart === 1) {
+      return { start: d => d.startOf('week'), key: d => d.toISOWeekDate().slice(0, 8), yearAgo: d => d.minus({ weeks: 52 }), step: { weeks: 1 } };
+    }
+    return {
+      start: d => d.minus({ days: (d.weekday - weekStart + 7) % 7 }),
+      key: d => d.toISODate(),
+      yearAgo: d => d.minus({ weeks: 52 }),
+      step: { weeks: 1 }
+    };
+  }
+  if (groupBy === 'month') {
+    return { start: d => d.startOf('month'), key: d => d.toFormat('yyyy-LL'), yearAgo: d => d.minus({ years: 1 }), step: { months: 1 } };
+  }
+  if (groupBy === 'quarter') {
+    return { start: d => d.startOf('quarter'), key: d => `${d.year}-Q${d.quarter}`, yearAgo: d => d.minus({ years: 1 }), step: { months: 3 } };
+  }
+  return { start: d => d, key: d => d.toISODate(), yearAgo: d => d.minus({ years: 1 }), step: { days: 1 } };
+}
+
+// разница с базовым периодом; pct — null при нулевой базе
+function delta(cur, base) {
+  if (!base) return null;
+  const pct = (a, b) => (b ? round2(((a - b) / Math.abs(b)) * 100) : null);
+  return {
+    period: base.period,
+    credit: round2(cur.credit - base.credit),
+    debit: round2(cur.debit - base.debit),
+    net: round2(cur.net - base.net),
+    creditPct: pct(cur.credit, base.credit),
+    debitPct: pct(cur.debit, base.debit)
+  };
+}
+
+/**
+ * dailySpending → корзины { period, from, to, days, partial, credit, debit, net, amount, cumulativeClose,
+ * vsPrevious, vsYearAgo }. cumulativeClose — остаток на конец последнего дня корзины.
+ * Крайние корзины могут быть неполными (partial: days меньше длины периода).
+ * weekStart — 1..7 (1 = ISO-неделя с ключом YYYY-Www).
+ */
+export function groupDaily(dailySpending, { groupBy = 'day', zone = 'Asia/Bishkek', weekStart = 1 } = {}) {
+  const b = bucketing(groupBy, weekStart);
+  const buckets = [];
+  const byKey = new Map();
+
+  for (const d of dailySpending) {
+    const day = DateTime.fromISO(d.date, { zone });
+    const key = b.key(b.start(day));
+    let cur = byKey.get(key);
+    if (!cur) {
+      cur = { period: key, from: d.date, to: d.date, days: 0, credit: 0, debit: 0, net: 0, cumulativeClose: null, _start: b.start(day) };
+      byKey.set(key, cur);
+      buckets.push(cur);
+    }
+    cur.to = d.date;
+    cur.days += 1;
+    cur.credit += d.credit;
+    cur.debit += d.debit;
+    cur.cumulativeClose = d.cumulativeClose ?? cur.cumulativeClose;
+  }
+
+  return buckets.map((cur, i) => {
+    cur.credit = round2(cur.credit);
+    cur.debit = round2(cur.debit);
+    cur.net = round2(cur.credit - cur.debit);
+    const yearAgo = byKey.get(b.key(b.start(b.yearAgo(cur._start))));
+    const { _start, ...out } = cur;
+    return {
+      ...out,
+      partial: out.days < Math.round(_start.plus(b.step).diff(_start, 'days').days),
+      amount: out.debit,   // как в dailySpending: расходы за период
+      vsPrevious: delta(out, buckets[i - 1]),
+      vsYearAgo: delta(out, yearAgo)
+    };
+  });
+}
+
+/**
+ * weekStart из запроса: iso | locale | mon | sun | sat → 1..7.
+ */
+export function resolveWeekStart(option, locale = null) {
+  if (!option || option === 'iso') return 1;
+  if (option === 'locale') return locale?.weekStart ?? 1;
+  return WEEK_STARTS[option] ?? 1;
+}
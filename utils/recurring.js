@@ -0,0 +1,140 @@
+// utils/recurring.js  (ESM)
+// Регулярные платежи и подписки: одна и та же нормализованная сторона, близкая сумма,
+// равномерный интервал (неделя / месяц / квартал).
+import { DateTime } from 'luxon';
+import { merchantKey, normalizeMerchant } from './categorize.js';
+import { median, round2, sortedMedian } from './cumulative.js';
+
+// окна интервалов в днях и шаг luxon для прогноза следующей даты
+const CADENCES = [
+  { cadence: 'weekly', min: 5, max: 9, step: { weeks: 1 } },
+  { cadence: 'monthly', min: 25, max: 35, step: { months: 1 } },
+  { cadence: 'quarterly', min: 80, max: 100, step: { months: 3 } }
+];
+
+// кластеры по сумме: соседние (по возрастанию) суммы в пределах tolerance от медианы кластера
+function amountClusters(items, tolerance) {
+  const sorted = [...items].sort((a, b) => Math.abs(a.amount) - Math.abs(b.amount));
+  const clusters = [];
+  for (const it of sorted) {
+    const last = clusters[clusters.length - 1];
+    const abs = Math.abs(it.amount);
+    if (last && Math.abs(abs - last.median) <= tolerance * last.median) {
+      last.items.push(it);
+      last.abs.push(abs);
+      last.median = sortedMedian(last.abs);   // abs уже по возрастанию — без пересортировки
+    } else {
+      clusters.push({ median: abs, items: [it], abs: [abs] });
+    }
+  }
+  return clusters.map(c => c.items);
+}
+
+// каденция по медианному интервалу; интервалы, кратные периоду, — пропуски
+function classify(days) {
+  const typical = median(days);
+  const spec = CADENCES.find(c => typical >= c.min && typical <= c.max);
+  if (!spec) return null;
+  const period = (spec.min + spec.max) / 2;
+  let regular = 0;
+  for (const d of days) {
+    const k = Math.round(d / period);
+    if (k >= 1 && d >= spec.min * k && d <= spec.max * k) regular += 1;
+  }
+  return { spec, regularity: regular / days.length };
+}
+
+/**
+ * Серии регулярных платежей в транзакциях (формат /api/statement/parse).
+ * tolerance — допустимое отклонение суммы от медианы серии (доля); minOccurrences — минимум операций;
+ * asOf — дата, на которую считаются пропуски после последней операции (по умолчанию — последняя дата в данных).
+ * Возвращает recurring[]: { merchant, direction, category, currency, cadence, occurrences, averageAmount,
+ * minAmount, maxAmount, firstSeen, lastSeen, nextExpected, dates[], missed[], active, confidence }.
+ */
+export function detectRecurring(transactions, { zone = 'Asia/Bishkek', tolerance = 0.1, minOccurrences = 3, asOf = null } = {}) {
+  // день операции считаем один раз на транзакцию: сортировки ниже обращаются к нему многократно
+  const days = new Map();
+  const day = t => {
+    let d = days.get(t);
+    if (!d) days.set(t, d = DateTime.fromISO(t.date || t.ts, { zone }).startOf('day'));
+    return d;
+  };
+  const valid = transactions.filter(t => Number.isFinite(t.amount) && t.amount !== 0 && day(t).isValid);
+  if (!valid.length) return [];
+  const end = asOf
+    ? DateTime.fromISO(asOf, { zone }).startOf('day')
+    : valid.map(day).reduce((a, b) => (b > a ? b : a));
+
+  const groups = new Map();
+  for (const t of valid) {
+    const merchant = merchantKey(t);
+    if (!merchant) continue;
+    const key = `${merchant}|${t.amount < 0 ? 'debit' : 'credit'}|${t.currency || ''}`;
+    const list = groups.get(key) || [];
+    list.push(t);
+    groups.set(key, list);
+  }
+
+  const out = [];
+  for (const list of groups.values()) {
+    for (const cluster of amountClusters(list, tolerance)) {
+      if (cluster.length < minOccurrences) continue;
+      // одна операция в день — иначе интервалы нулевые (несколько покупок подряд)
+      const byDay = new Map();
+      for (const t of cluster) {
+        const k = day(t).toISODate();
+        if (!byDay.has(k)) byDay.set(k, t);
+      }
+      const series = [...byDay.values()].sort((a, b) => day(a) - day(b));
+      if (series.length < minOccurrences) continue;
+
+      const dates = series.map(day);
+      const gaps = dates.slice(1).map((d, i) => d.diff(dates[i], 'days').days);
+      const found = classify(gaps);
+      if (!found || found.regularity < 0.75) continue;
+      const { spec } = found;
+
+      // пропуски: внутри серии (интервал ≈ k периодов) и после последней операции до asOf
+      const missed = [];
+      for (let i = 1; i < dates.length; i++) {
+        let expected = dates[i - 1].plus(spec.step);
+        while (dates[i].diff(expected, 'days').days > spec.max - spec.min) {
+          missed.push(expected.toISODate());
+          expected = expected.plus(spec.step);
+        }
+      }
+      let nextExpected = dates[dates.length - 1].plus(spec.step);
+      const grace = Math.ceil((spec.max - spec.min) / 2);
+      let trailing = 0;
+      while (end.diff(nextExpected, 'days').days > grace) {
+        missed.push(nextExpected.toISODate());
+        nextExpected = nextExpected.plus(spec.step);
+        trailing += 1;
+      }
+
+      const amounts = series.map(t => Math.abs(t.amount));
+      const first = series[0];
+      out.push({
+        merchant: first.merchant || normalizeMerchant(first.counterparty || first.description),
+        direction: first.amount < 0 ? 'debit' : 'credit',
+        category: first.category ?? null,
+        currency: first.currency ?? null,
+        cadence: spec.cadence,
+        occurrences: series.length,
+        averageAmount: round2(amounts.reduce((s, a) => s + a, 0) / amounts.length),
+        minAmount: round2(Math.min(...amounts)),
+        maxAmount: round2(Math.max(...amounts)),
+        firstSeen: dates[0].toISODate(),
+        lastSeen: dates[dates.length - 1].toISODate(),
+        nextExpected: nextExpected.toISODate(),
+        dates: dates.map(d => d.toISODate()),
+        missed,
+        // больше одного пропуска подряд в конце — серия, скорее всего, прекращена
+        active: trailing <= 1,
+        confidence: round2(found.regularity * Math.min(1, series.length / (minOccurrences + 1)))
+      });
+    }
+  }
+  // сначала расходы, крупные вперёд
+  return out.sort((a, b) => (a.direction === b.direction ? b.averageAmount - a.averageAmount : a.direction === 'debit' ? -1 : 1));
+}
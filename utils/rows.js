@@ -0,0 +1,94 @@
+// utils/rows.js  (ESM)
+// Построчное чтение листа SheetJS без полных копий (sheet_to_json): строка собирается,
+// когда до неё дошёл цикл, и сразу становится мусором. Значения — как у sheet_to_json
+// с { defval: '', blankrows: true }: пустые и ошибочные ячейки → ''.
+import XLSX from 'xlsx';
+
+function cellValue(cell) {
+  if (!cell || cell.t === 'z' || cell.t === 'e' || cell.v === undefined || cell.v === null) return '';
+  return cell.v;
+}
+
+// адреса столбцов диапазона ('A', 'B', ...) — считаем один раз на лист
+function columnNames(range) {
+  const names = [];
+  for (let c = range.s.c; c <= range.e.c; c++) names.push(XLSX.utils.encode_col(c));
+  return names;
+}
+
+function rowCells(ws, r, cols) {
+  const row = r + 1;
+  return cols.map(col => cellValue(ws[col + row]));
+}
+
+/**
+ * Диапазон листа ({ s, e }) или null для пустого листа.
+ */
+export function sheetRange(ws) {
+  return ws?.['!ref'] ? XLSX.utils.decode_range(ws['!ref']) : null;
+}
+
+/**
+ * Строки листа массивами ячеек: [индекс строки, cells] для строк from..to (включительно, от 0).
+ * Индексы — абсолютные номера строк листа (как у sheet_to_json с range: 0).
+ */
+export function* sheetRows(ws, { from = 0, to = Infinity } = {}) {
+  const range = sheetRange(ws);
+  if (!range) return;
+  const cols = columnNames(range);
+  const last = Math.min(to, range.e.r);
+  for (let r = Math.max(from, 0); r <= last; r++) yield [r, rowCells(ws, r, cols)];
+}
+
+/**
+ * Первые count строк листа массивом массивов (шапка, поиск заголовка, отпечаток банка).
+ */
+export function sheetHead(ws, count) {
+  return Array.from(sheetRows(ws, { to: count - 1 }), ([, cells]) => cells);
+}
+
+// ключи строк-объектов как у sheet_to_json: текст заголовка, нет ячейки — __EMPTY, повтор — "_1", "_2"...
+function headerKeys(ws, headerIndex, range) {
+  const seen = {};
+  return columnNames(range).map(col => {
+    const cell = ws[col + (headerIndex + 1)];
+    const text = cell ? String(cell.w ?? cell.v ?? '') : '__EMPTY';
+    let key = text;
+    let n = seen[text] || 0;
+    if (n) {
+      do key = `${text}_${n++}`; while (seen[key]);
+      seen[key] = 1;
+    }
+    seen[text] = n || 1;
+    return key;
+  });
+}
+
+/**
+ * Строки таблицы (после headerIndex по endIndex включительно) объектами { <заголовок>: значение },
+ * __rowNum__ — индекс строки листа (неперечисляемый, как у SheetJS).
+ * Возвращает повторно итерируемый набор: { length, slice(from, to), [Symbol.iterator] } —
+ * строки не хранятся, каждый проход собирает их заново.
+ */
+export function tableRows(ws, headerIndex, endIndex) {
+  const range = sheetRange(ws);
+  const length = range && headerIndex >= 0 ? Math.max(Math.min(endIndex, range.e.r) - headerIndex, 0) : 0;
+  const keys = length ? headerKeys(ws, headerIndex, range) : [];
+
+  function* iterate(from = 0, to = length) {
+    const start = headerIndex + 1 + Math.max(from, 0);
+    const end = headerIndex + Math.min(to, length);
+    for (const [r, cells] of sheetRows(ws, { from: start, to: end })) {
+      const row = {};
+      keys.forEach((k, i) => { row[k] = cells[i]; });
+      Object.defineProperty(row, '__rowNum__', { value: r, enumerable: false });
+      yield row;
+    }
+  }
+
+  return {
+    length,
+    slice: (from, to) => [...iterate(from, to)],
+    [Symbol.iterator]: () => iterate()
+  };
+}
@@ -0,0 +1,676 @@
+// utils/statement.js  (ESM)
+// Разбор листа выписки в транзакции и агрегаты (dailySpending, timeline, totals).
+import XLSX from 'xlsx';
+import { DateTime } from 'luxon';
+import { chronological, forecastCumulative, round2 } from './cumulative.js';
+import { HEADER_SCAN_ROWS, detectHeaderRow, detectDataEnd, isFooterRow } from './header.js';
+import { findCurrencyCode, normalizeCurrency, splitAmountCurrency } from './fx.js';
+import { parseAmount } from './number.js';
+import { dateFormatsFor, detectDateOrder } from './dates.js';
+import { extractStatementBalances, reconcileBalances } from './balance.js';
+import { categorizeTransactions, categoryBreakdown } from './categorize.js';
+import { detectProfile } from './banks.js';
+import { detectRecurring } from './recurring.js';
+import { groupDaily } from './periods.js';
+import { DEFAULT_THRESHOLDS, detectAnomalies } from './anomalies.js';
+import { SKIP_REASONS, mergeDiagnostics, sheetDiagnostics, skippedRow } from './diagnostics.js';
+import { assertWorkbookLimits, inspectUpload } from './upload.js';
+import { sheetHead, sheetRows, tableRows } from './rows.js';
+
+// столбцы валюты операции и остатка, если профиль не задал свои (columns.currency / columns.balance)
+const CURRENCY_COLS = ['Валюта', 'Валюта операции', 'Currency'];
+const BALANCE_COLS = ['Остаток', 'Баланс', 'Остаток после операции', 'Balance', 'Running balance'];
+
+function pick(row, keys) {
+  const map = Object.fromEntries(Object.keys(row).map(k => [k.toLowerCase().trim(), k]));
+  for (const k of keys) {
+    const hit = map[k.toLowerCase()];
+    if (hit) return row[hit];
+  }
+  return undefined;
+}
+// значения столбца по всем строкам — без промежуточного массива
+function* pickEach(rows, keys) {
+  for (const r of rows) yield pick(r, keys);
+}
+
+// разобранные форматы luxon: fromFormat строит парсер формата на каждый вызов — на больших выписках
+// это основная цена строки, поэтому парсер собираем один раз на формат
+const FORMAT_PARSERS = new Map();
+function fromFormat(text, fmt, opts) {
+  let parser = FORMAT_PARSERS.get(fmt);
+  if (!parser) FORMAT_PARSERS.set(fmt, parser = DateTime.buildFormatParser(fmt));
+  return DateTime.fromFormatParser(text, parser, opts);
+}
+
+const EXACT = 'exact';
+const DATE_ONLY = 'date-only';
+
+const hasValue = v => v !== undefined && v !== null && String(v).trim() !== '';
+
+// дата + время из отдельной колонки; без времени — начало дня и timePrecision 'date-only'
+function composeTs(day, timeRaw, zone, timeFormats) {
+  const t = hasValue(timeRaw) ? normalizeTimeFromAny(timeRaw, timeFormats) : null;
+  const dt = DateTime.fromISO(`${day.toFormat('yyyy-LL-dd')}T${t || '00:00:00'}`, { zone });
+  return dt.isValid ? { ts: dt.toISO(), timePrecision: t ? EXACT : DATE_ONLY } : null;
+}
+
+// Date из ячейки (SheetJS, cellDates) хранит время ячейки как локальное время сервера:
+// берём эти части (с округлением до секунды — сериал Excel неточен) и только затем применяем зону выписки
+function cellClock(date, zone) {
+  const d = new Date(Math.round(date.getTime() / 1000) * 1000);
+  return DateTime.fromObject({
+    year: d.getFullYear(), month: d.getMonth() + 1, day: d.getDate(),
+    hour: d.getHours(), minute: d.getMinutes(), second: d.getSeconds()
+  }, { zone });
+}
+
+// formats — из профиля банка: { dateTimeFormats, dateFormats, timeFormats }
+// Возвращает { ts, timePrecision: 'exact' | 'date-only' } или null. Время не выдумываем:
+// у строк без времени ts — начало дня, порядок внутри дня — порядок строк выписки.
+function buildTsISO(dateRaw, timeRaw, zone, formats = {}) {
+  // Если пришёл Date — используем его как есть (может уже содержать время)
+  if (dateRaw instanceof Date && !isNaN(dateRaw)) {
+    const dt = cellClock(dateRaw, zone);
+    if (!dt.isValid) return null;
+    // время 00:00:00 — в ячейке только дата: берём колонку времени, если есть
+    if (dt.hour + dt.minute + dt.second === 0) return composeTs(dt, timeRaw, zone, formats.timeFormats);
+    return { ts: dt.toISO(), timePrecision: EXACT };
+  }
+
+  // Если число — это может быть Excel serial (включая дробную часть = время)
+  if (typeof dateRaw === 'number') {
+    // 1899-12-30 + N дней (фракции = часы/мин/сек)
+    const dt = DateTime.fromISO('1899-12-30', { zone }).plus({ days: dateRaw });
+    if (!dt.isValid) return null;
+    // целое число или есть отдельная колонка времени — время берём из неё
+    if (Number.isInteger(dateRaw) || hasValue(timeRaw)) return composeTs(dt, timeRaw, zone, formats.timeFormats);
+    return { ts: dt.toISO(), timePrecision: EXACT };
+  }
+
+  // Если строка — сначала пробуем форматы 'дата время' прямо в одной колонке
+  if (typeof dateRaw === 'string') {
+    const s = dateRaw.trim();
+
+    // Популярные форматы: "12.09.2025 15:15[:ss]" и ISO-подобные
+    const dtCandidates = formats.dateTimeFormats?.length ? formats.dateTimeFormats : [
+      'dd.LL.yyyy HH:mm:ss',
+      'dd.LL.yyyy HH:mm',
+      'd.L.yyyy HH:mm:ss',
+      'd.L.yyyy HH:mm',
+      'yyyy-LL-dd HH:mm:ss',
+      'yyyy-LL-dd HH:mm',
+    ];
+    for (const fmt of dtCandidates) {
+      const dt = fromFormat(s, fmt, { zone });
+      if (dt.isValid) return { ts: dt.toISO(), timePrecision: EXACT };
+    }
+
+    // Если времени в строке нет — берём дату и колонку времени (если есть)
+    const dateOnlyCandidates = formats.dateFormats?.length ? formats.dateFormats : [
+      'dd.LL.yyyy',
+      'd.L.yyyy',
+      'yyyy-LL-dd',
+    ];
+    for (const fmt of dateOnlyCandidates) {
+      const dOnly = fromFormat(s, fmt, { zone });
+      if (dOnly.isValid) return composeTs(dOnly, timeRaw, zone, formats.timeFormats);
+    }
+
+    // На крайний случай — попробуем нативный парсер
+    const dt = DateTime.fromJSDate(new Date(s), { zone });
+    if (dt.isValid) {
+      return dt.hour + dt.minute + dt.second === 0
+        ? composeTs(dt, timeRaw, zone, formats.timeFormats)
+        : { ts: dt.toISO(), timePrecision: EXACT };
+    }
+  }
+
+  // Если ничего не распознали — вернём null
+  return null;
+}
+
+// вспомогательная: нормализуем timeRaw в "HH:mm:ss"
+function normalizeTimeFromAny(timeRaw, timeFormats = []) {
+  if (typeof timeRaw === 'number') {
+    const totalSec = Math.round(timeRaw * 24 * 3600); // доля суток
+    const hh = String(Math.floor(totalSec / 3600)).padStart(2, '0');
+    const mm = String(Math.floor((totalSec % 3600) / 60)).padStart(2, '0');
+    const ss = String(totalSec % 60).padStart(2, '0');
+    return `${hh}:${mm}:${ss}`;
+  } else {
+    const s = String(timeRaw).trim();
+    for (const fmt of timeFormats) {
+      const t = fromFormat(s, fmt);
+      if (t.isValid) return t.toFormat('HH:mm:ss');
+    }
+    // "15:15" или "15:15:42"
+    const m = s.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (m) {
+      const hh = String(m[1]).padStart(2, '0');
+      const mm = String(m[2]).padStart(2, '0');
+      const ss = String(m[3] || '00').padStart(2, '0');
+      return `${hh}:${mm}:${ss}`;
+    }
+  }
+  return null;
+}
+
+
+// Валюта листа: по имени листа («KGS», «Счёт USD») или по шапке над заголовком; иначе — валюта профиля
+function detectSheetCurrency(sheetName, preamble, fallback) {
+  const fromName = findCurrencyCode(sheetName);
+  if (fromName) return fromName;
+  for (const row of preamble) {
+    const hit = findCurrencyCode(row.join(' '));
+    if (hit) return hit;
+  }
+  return fallback;
+}
+
+// строки после конца данных, которые смотрим на подвал (итоги, исходящий остаток)
+const FOOTER_SCAN_ROWS = 50;
+
+/**
+ * Поиск таблицы операций на листе: строка заголовка (авто или profile.headerIndex),
+ * конец данных и строки между ними. Лист читается построчно (utils/rows.js):
+ * целиком в памяти остаются только шапка (preamble), строка заголовка и подвал (footer),
+ * rows — повторно итерируемые строки-объекты таблицы (собираются на каждом проходе).
+ */
+export function locateTable(ws, profile) {
+  const cols = profile.columns;
+  let header;
+  if (Number.isInteger(profile.headerIndex)) {
+    // фиксированная строка заголовка из профиля — оцениваем только её
+    const [fixed] = sheetRows(ws, { from: profile.headerIndex, to: profile.headerIndex });
+    header = detectHeaderRow([fixed?.[1] || []], cols);
+    header.headerIndex = header.headerIndex === 0 ? profile.headerIndex : -1;
+  } else {
+    header = detectHeaderRow(sheetHead(ws, HEADER_SCAN_ROWS), cols);
+  }
+  const headerIndex = header.headerIndex;
+  if (headerIndex < 0) {
+    return { header, headerIndex, dataEndIndex: -1, preamble: [], headerRow: [], footer: [], rows: tableRows(ws, -1, -1) };
+  }
+
+  const dataEndIndex = detectDataEnd(sheetRows(ws, { from: headerIndex + 1 }), headerIndex);
+  const preamble = sheetHead(ws, headerIndex + 1);
+  const headerRow = preamble.pop();
+  const footer = Array.from(
+    sheetRows(ws, { from: dataEndIndex + 1, to: dataEndIndex + FOOTER_SCAN_ROWS }),
+    ([, cells]) => cells
+  );
+  // пустые строки внутри таблицы оставляем — они попадут в диагностику
+  const rows = tableRows(ws, headerIndex, dataEndIndex);
+  return { header, headerIndex, dataEndIndex, preamble, headerRow, footer, rows };
+}
+
+/**
+ * Строки таблицы (итерируемые строки-объекты, locateTable().rows) → транзакции.
+ * currency — валюта счёта (по умолчанию для строк без своей валюты).
+ * Каждая непрошедшая строка попадает в skipped с причиной (diagnostics.SKIP_REASONS).
+ * dateOnly — отбросить время у всех операций (ts — начало дня, порядок — порядок строк).
+ * locale — utils/locale.resolveLocale(): разделители сумм и порядок дня/месяца, если данные не решают.
+ * Выписки «новые сверху» разворачиваются: transactions — от старых к новым, операции одного дня —
+ * в обратном порядке строк (как они и проводились); newestFirst = true.
+ * Возвращает { transactions, skipped, dateOrder, newestFirst }.
+ */
+export function parseTransactions(rows, { profile, zone, currency, locale = null, dateOnly = false }) {
+  const cols = profile.columns;
+  const transactions = [];
+  const skipped = [];
+  const parseNum = v => parseAmount(v, { format: profile.number, locale });
+
+  // dd/mm или mm/dd — по самим датам листа, иначе по профилю банка или локали
+  const dateOrder = detectDateOrder(pickEach(rows, cols.date), { profileOrder: profile.dateOrder, locale });
+  const formats = dateFormatsFor(profile, dateOrder.order);
+  for (const r of rows) {
+    // __rowNum__ — индекс строки листа от SheetJS; в отчёте — номер строки как в Excel
+    const cells = Object.values(r);
+    const skip = reason => skipped.push(skippedRow(r.__rowNum__ + 1, reason, cells));
+
+    if (cells.every(c => String(c ?? '').trim() === '')) { skip(SKIP_REASONS.EMPTY); continue; }
+    if (isFooterRow(cells)) { skip(SKIP_REASONS.FOOTER); continue; }
+
+    const dateRaw = pick(r, cols.date);
+    const timeRaw = pick(r, cols.time);
+    const parsedTs = buildTsISO(dateRaw, dateOnly ? undefined : timeRaw, zone, formats);
+    if (!parsedTs) { skip(SKIP_REASONS.UNPARSEABLE_DATE); continue; }
+    let { ts: tsISO, timePrecision } = parsedTs;
+    if (dateOnly && timePrecision === 'exact') {
+      tsISO = DateTime.fromISO(tsISO, { zone }).startOf('day').toISO();
+      timePrecision = 'date-only';
+    }
+
+    // семантика столбцов — из профиля (у MBank Debit => приход, Credit => расход)
+    // суммы могут нести валюту: "1 500,00 USD", "$1,500.00"
+    const incomeRaw = splitAmountCurrency(pick(r, cols.income));    // приход (плюс)
+    const expenseRaw = splitAmountCurrency(pick(r, cols.expense));  // расход (плюс)
+
+    const incomeNum = parseNum(incomeRaw.value);
+    const expenseNum = parseNum(expenseRaw.value);
+    if (!Number.isFinite(incomeNum) && !Number.isFinite(expenseNum)) { skip(SKIP_REASONS.UNPARSEABLE_AMOUNT); continue; }
+
+    // в столбце расхода знак избыточен («-500», «(500)»); минус в приходе — сторно, уменьшает сумму
+    const income = incomeNum || 0;
+    const expense = Math.abs(expenseNum || 0);
+    if (income === 0 && expense === 0) { skip(SKIP_REASONS.ZERO_AMOUNT); continue; }
+
+    const amount = income - expense; // >0 приход, <0 расход
+
+    const rawDesc = (pick(r, cols.desc) ?? '').toString();
+    const desc = rawDesc.replace(/\\\\/g, '\\').trim();
+
+    // контрагент отдельным столбцом (MBank: Recipient/Payer) — для нормализации merchant
+    const counterparty = String(pick(r, cols.counterparty || []) ?? '').replace(/\\\\/g, '\\').trim();
+
+    // остаток после операции (если в выписке есть такой столбец)
+    const balance = parseNum(splitAmountCurrency(pick(r, cols.balance || BALANCE_COLS)).value);
+
+    transactions.push({
+      ts: tsISO,                       // <-- ПОЛНЫЙ ISO (у date-only — начало дня)
+      timePrecision,                   // 'exact' | 'date-only'
+      date: tsISO.slice(0, 10),        // день в зоне выписки (ts — со смещением зоны), не в зоне сервера
+      description: desc,
+      amount,
+      credit: Math.max(income, 0),
+      debit: expense + Math.max(-income, 0),
+      direction: amount < 0 ? 'debit' : 'credit',
+      currency: normalizeCurrency(pick(r, cols.currency || CURRENCY_COLS))
+        || incomeRaw.currency || expenseRaw.currency || currency,
+      ...(counterparty ? { counterparty } : {}),
+      ...(Number.isFinite(balance) ? { balance } : {})
+    });
+  }
+  const newestFirst = isNewestFirst(transactions);
+  if (newestFirst) transactions.reverse();
+  return { transactions, skipped, dateOrder, newestFirst };
+}
+
+// строки идут от новых дат к старым: убывающих соседних пар больше, чем возрастающих
+function isNewestFirst(transactions) {
+  let asc = 0, desc = 0;
+  for (let i = 1; i < transactions.length; i++) {
+    const prev = transactions[i - 1].date, cur = transactions[i].date;
+    if (cur > prev) asc += 1;
+    else if (cur < prev) desc += 1;
+  }
+  return desc > asc;
+}
+
+/**
+ * Пересчёт сумм в baseCurrency по таблице курсов (fx.createRateTable).
+ * Каждой транзакции ставим amountBase (null — нет курса); в converted попадают
+ * только пересчитанные, остальные — в missing.
+ */
+export function convertTransactions(transactions, { baseCurrency, rates }) {
+  const converted = [];
+  const missing = [];
+  for (const t of transactions) {
+    const amountBase = rates.convert(t.amount, t.currency, baseCurrency, t.date);
+    t.amountBase = amountBase;
+    if (amountBase === null) {
+      missing.push({ ts: t.ts, currency: t.currency, amount: t.amount, description: t.description });
+      continue;
+    }
+    converted.push({
+      ...t,
+      amount: amountBase,
+      credit: amountBase > 0 ? amountBase : 0,
+      debit: amountBase < 0 ? -amountBase : 0
+    });
+  }
+  return { converted, missing };
+}
+
+/**
+ * Период транзакций { from, to } (YYYY-MM-DD).
+ */
+export function computePeriod(transactions) {
+  let from = null, to = null;
+  for (const t of transactions) {
+    if (from === null || t.date < from) from = t.date;
+    if (to === null || t.date > to) to = t.date;
+  }
+  return { from, to };
+}
+
+/**
+ * Агрегаты по транзакциям за один проход: dailySpending (с cumulativeClose), timeline, totals.
+ * period — если не задан, берётся по самим транзакциям;
+ * startBalance — входящий остаток, от которого считается cumulative;
+ * sorted — транзакции уже в хронологическом порядке (cumulative.chronological), иначе сортируем здесь.
+ */
+export function aggregateTransactions(transactions, { zone, period = computePeriod(transactions), startBalance = 0, sorted = false }) {
+  const { from, to } = period;
+  const chrono = sorted ? transactions : chronological(transactions, zone);
+
+  // по дням: приход, расход (по модулю) и cumulative после последней операции дня;
+  // даты в chrono не убывают — остаток дня перезаписывается до его последней операции
+  const byDay = new Map();
+  const timeline = [];   // <-- точка на КАЖДУЮ транзакцию
+  let running = startBalance;
+  let credits = 0, debits = 0;
+  for (const t of chrono) {
+    let d = byDay.get(t.date);
+    if (!d) byDay.set(t.date, d = { credit: 0, debit: 0, close: 0 });
+    if (t.amount > 0) d.credit += t.amount;           // приход
+    if (t.amount < 0) d.debit += Math.abs(t.amount);  // расход (по модулю)
+    credits += t.credit || 0;
+    debits += t.debit || 0;
+    running += t.amount;  // расходы <0, пополнения >0
+    d.close = running;
+    timeline.push({ ts: t.ts, cumulative: round2(running), timePrecision: t.timePrecision ?? 'exact' });
+  }
+
+  // заполнение «пустых дней» нулями на периоде; cumulativeClose переносится с предыдущего дня
+  const dailySpending = [];
+  if (from && to) {
+    let close = startBalance;
+    let cur = DateTime.fromISO(from, { zone });
+    const end = DateTime.fromISO(to, { zone });
+    while (cur <= end) {
+      const key = cur.toISODate(); // YYYY-MM-DD
+      const v = byDay.get(key) || { credit: 0, debit: 0, close };
+      close = v.close;
+      dailySpending.push({
+        date: key,
+        credit: Number(v.credit.toFixed(2)),
+        debit: Number(v.debit.toFixed(2)),
+        net: Number((v.credit - v.debit).toFixed(2)),
+        // совместимость с текущим фронтом: amount = расходы за день
+        amount: Number(v.debit.toFixed(2)),
+        cumulativeClose: round2(close)
+      });
+      cur = cur.plus({ days: 1 });
+    }
+  }
+
+  return {
+    period: { from, to },
+    dailySpending,                             // <-- с cumulativeClose
+    timeline: from && to ? timeline : [],      // <-- серия для графика ↑/↓
+    totals: totalsOf(credits, debits)
+  };
+}
+
+/**
+ * Таблица листа → счёт: транзакции и агрегаты.
+ * baseCurrency + rates — агрегаты в базовой валюте; без курса транзакции уходят в fx.missing.
+ * cumulative считается от входящего остатка (шапка выписки или столбец остатка), сверка — в reconciliation.
+ * rules — скомпилированные правила категоризации (categorize.compileRules).
+ */
+export function buildAccount(table, { sheetName, profile, zone, locale = null, baseCurrency = null, rates = null, rules = [], dateOnly = false }) {
+  const { header, headerIndex, dataEndIndex, preamble, footer, rows } = table;
+  const currency = detectSheetCurrency(sheetName, preamble, profile.currency);
+  const { transactions, skipped, dateOrder, newestFirst } = parseTransactions(rows, { profile, zone, currency, locale, dateOnly });
+  categorizeTransactions(transactions, rules);
+
+  // строка-подвал, на которой закончилась таблица, — тоже в диагностику
+  if (footer[0] && isFooterRow(footer[0])) skipped.push(skippedRow(dataEndIndex + 2, SKIP_REASONS.FOOTER, footer[0]));
+
+  const parseNum = v => parseAmount(splitAmountCurrency(v).value, { format: profile.number, locale });
+  const balances = extractStatementBalances({ preamble, footer }, parseNum);
+
+  return {
+    sheet: sheetName,
+    currency,
+    bank: profile.name,
+    rows: rows.length,
+    headerIndexUsed: headerIndex,
+    headerConfidence: header.confidence,
+    columns: header.mapping,
+    dataEndIndex,
+    transactions,
+    diagnostics: sheetDiagnostics(skipped, { dateOrder, newestFirst }),
+    ...summarizeTransactions(transactions, { currency, zone, balances, baseCurrency, rates })
+  };
+}
+
+/**
+ * Агрегаты счёта по готовым транзакциям: period, dailySpending, timeline, totals (+ byCategory),
+ * остатки и reconciliation, recurring, fx. balances — { opening, closing } из выписки.
+ */
+export function summarizeTransactions(transactions, { currency, zone, balances = {}, baseCurrency = null, rates = null }) {
+  const period = computePeriod(transactions);
+
+  // сверка остатков — в валюте счёта, в хронологическом порядке (равные ts — по порядку строк)
+  const chrono = chronological(transactions, zone);
+  const reconciliation = reconcileBalances(chrono, balances);
+  // индекс расхождения — в transactions[] ответа, а не в хронологическом ряду
+  if (reconciliation.firstDivergence) {
+    reconciliation.firstDivergence.index = transactions.indexOf(chrono[reconciliation.firstDivergence.index]);
+  }
+  let startBalance = reconciliation.openingBalance ?? 0;
+
+  let series = transactions;
+  let fx = null;
+  if (baseCurrency && rates) {
+    const { converted, missing } = convertTransactions(transactions, { baseCurrency, rates });
+    series = converted;
+    const openingBase = rates.convert(startBalance, currency, baseCurrency, period.from);
+    fx = { baseCurrency, converted: converted.length, missing, openingConverted: openingBase !== null };
+    startBalance = openingBase ?? 0;
+  }
+  // без пересчёта хронологический ряд уже есть; пересчитанный aggregateTransactions отсортирует сам
+  const agg = aggregateTransactions(fx ? series : chrono, { zone, period, startBalance, sorted: !fx });
+  agg.totals.byCategory = categoryBreakdown(series);
+
+  return {
+    period: agg.period,
+    dailySpending: agg.dailySpending,
+    timeline: agg.timeline,
+    totals: agg.totals,
+    openingBalance: reconciliation.openingBalance,
+    closingBalance: reconciliation.expectedClosingBalance,
+    reconciliation,
+    // регулярные платежи — по исходным суммам в валюте счёта
+    recurring: detectRecurring(chrono, { zone }),
+    fx
+  };
+}
+
+export function computeTotals(transactions) {
+  let credits = 0, debits = 0;
+  for (const t of transactions) {
+    credits += t.credit || 0;
+    debits += t.debit || 0;
+  }
+  return totalsOf(credits, debits);
+}
+
+function totalsOf(credits, debits) {
+  const net = credits - debits;
+  const expenses = Number(debits.toFixed(2));
+  return {
+    credits: Number(credits.toFixed(2)),
+    debits: Number(debits.toFixed(2)),
+    net: Number(net.toFixed(2)),
+    expenses,                 // новое явное поле
+    spending: expenses        // обратная совместимость со старым именем
+  };
+}
+
+/**
+ * Имена листов для разбора: sheet (имя или индекс) → только он; иначе все листы книги.
+ * Неизвестный лист → null.
+ */
+export function selectSheets(wb, sheet) {
+  if (sheet === undefined || sheet === null || sheet === '') return [...wb.SheetNames];
+  if (wb.SheetNames.includes(String(sheet))) return [String(sheet)];
+  const idx = Number(sheet);
+  if (Number.isInteger(idx) && wb.SheetNames[idx] !== undefined) return [wb.SheetNames[idx]];
+  return null;
+}
+
+/**
+ * Книга выписки из буфера: профиль банка (bank — ?bank=) и листы для разбора (sheet — ?sheet=).
+ * Ошибки — Error('UNKNOWN_BANK') / Error('SHEET_NOT_FOUND'), проверки содержимого — см. upload.js.
+ */
+export function openStatement(buf, { bank, sheet } = {}) {
+  // выписки принимаются как .xls: OLE2 (BIFF) или переименованный xlsx
+  inspectUpload(buf, { ext: 'xls' });
+  const wb = XLSX.read(buf, { type: 'buffer', cellDates: true });
+  assertWorkbookLimits(wb);
+  const detected = detectProfile(wb, { override: bank });
+  if (!detected) throw new Error('UNKNOWN_BANK');
+  const sheets = selectSheets(wb, sheet);
+  if (!sheets) throw new Error('SHEET_NOT_FOUND');
+  return { wb, detected, profile: detected.profile, sheets };
+}
+
+/**
+ * Разбор всех листов, похожих на выписку (нашёлся заголовок таблицы операций).
+ * onProgress(done, total) — после каждого листа (для фоновых задач).
+ * release — убрать разобранный лист из книги: его ячейки больше не нужны и освобождаются
+ * до разбора следующего (книга после этого неполная).
+ * Возвращает { accounts, skippedSheets }.
+ */
+export function parseWorkbook(wb, { profile, zone, locale = null, sheets = wb.SheetNames, baseCurrency = null, rates = null, rules = [], dateOnly = false, release = false, onProgress = null }) {
+  const accounts = [];
+  const skippedSheets = [];
+  sheets.forEach((sheetName, i) => {
+    const table = locateTable(wb.Sheets[sheetName], profile);
+    if (table.headerIndex < 0) skippedSheets.push(sheetName);
+    else accounts.push(buildAccount(table, { sheetName, profile, zone, locale, baseCurrency, rates, rules, dateOnly }));
+    if (release) delete wb.Sheets[sheetName];
+    onProgress?.(i + 1, sheets.length);
+  });
+  return { accounts, skippedSheets };
+}
+
+/**
+ * Сводка по всем счетам; суммы складываем только внутри одной валюты.
+ * Если счета пересчитаны в baseCurrency — добавляется общий totalsInBase.
+ */
+export function summarizeAccounts(accounts, { baseCurrency = null } = {}) {
+  const froms = accounts.map(a => a.period.from).filter(Boolean).sort();
+  const tos = accounts.map(a => a.period.to).filter(Boolean).sort();
+
+  // суммы по валютам счёта — без общего массива транзакций
+  const byCurrency = {};
+  for (const a of accounts) {
+    const sum = byCurrency[a.currency] || (byCurrency[a.currency] = { credits: 0, debits: 0 });
+    for (const t of a.transactions) {
+      sum.credits += t.credit || 0;
+      sum.debits += t.debit || 0;
+    }
+  }
+
+  return {
+    accounts: accounts.length,
+    transactions: accounts.reduce((s, a) => s + a.transactions.length, 0),
+    period: { from: froms[0] ?? null, to: tos[tos.length - 1] ?? null },
+    totalsByCurrency: Object.fromEntries(
+      Object.entries(byCurrency).map(([cur, sum]) => [cur, totalsOf(sum.credits, sum.debits)])
+    ),
+    ...(baseCurrency ? {
+      baseCurrency,
+      totalsInBase: computeTotals(accounts.map(a => ({ credit: a.totals.credits, debit: a.totals.debits })))
+    } : {})
+  };
+}
+
+/**
+ * Аналитика поверх готовых счетов (разбор одного файла или batch.mergeStatements):
+ * alerts[] всегда, periods[] — при groupBy, forecast[] — при forecastDays.
+ * Мутирует счета.
+ */
+export function attachAnalytics(accounts, {
+  zone, groupBy = null, weekStart = 1, alertThresholds = {}, forecastDays = 0, baseCurrency = null, rates = null
+}) {
+  for (const a of accounts) {
+    if (groupBy) a.periods = groupDaily(a.dailySpending, { groupBy, zone, weekStart });
+    a.alerts = detectAnomalies(a, { zone, ...alertThresholds });
+    if (forecastDays) {
+      // recurring — в валюте счёта, dailySpending при baseCurrency — в базовой
+      const asOf = a.period.to;
+      a.forecast = forecastCumulative(a.dailySpending, {
+        days: forecastDays,
+        recurring: a.recurring,
+        tz: zone,
+        amountOf: baseCurrency && rates
+          ? item => rates.convert(item.averageAmount, item.currency || a.currency, baseCurrency, asOf)
+          : item => item.averageAmount
+      });
+    }
+  }
+  return accounts;
+}
+
+/**
+ * JSON-ответ разбора выписки: верхний уровень — первый счёт (совместимость с текущим фронтом),
+ * все счета — в accounts[], сводка — в summary.
+ */
+export function buildParseResult({
+  accounts, skippedSheets, detected, file, requestId, zone, locale = null, parseMs,
+  baseCurrency = null, rates = null, groupBy = null, weekStart = 1, alertThresholds = {}, forecastDays = 0
+}) {
+  const { profile } = detected;
+  attachAnalytics(accounts, { zone, groupBy, weekStart, alertThresholds, forecastDays, baseCurrency, rates });
+  const primary = accounts[0];
+  const rows = accounts.reduce((s, a) => s + a.rows, 0);
+
+  // account.*
+  const account = { currency: primary.currency, bank: primary.bank, ...(baseCurrency ? { baseCurrency } : {}) };
+
+  // meta.*
+  const meta = {
+    processedAt: DateTime.now().setZone(zone).toISO(),
+    requestId,
+    file,
+    bank: { id: profile.id, name: profile.name, matchedBy: detected.matchedBy, score: detected.score },
+    zone,
+    locale: locale?.tag ?? null,
+    sheet: primary.sheet,
+    sheets: accounts.map(a => a.sheet),
+    skippedSheets,
+    rows,
+    headerIndexUsed: primary.headerIndexUsed,
+    headerConfidence: primary.headerConfidence,
+    columns: primary.columns,
+    dataEndIndex: primary.dataEndIndex,
+    ...(groupBy ? { groupBy, weekStart } : {}),
+    ...(forecastDays ? { forecastDays } : {}),
+    alertThresholds: { ...DEFAULT_THRESHOLDS, ...alertThresholds },
+    parseMs
+  };
+  if (baseCurrency) {
+    meta.fx = {
+      baseCurrency,
+      pivot: rates.pivot,
+      rates: rates.size,
+      missing: accounts.flatMap(a => a.fx.missing.map(m => ({ sheet: a.sheet, ...m })))
+    };
+  }
+
+  meta.contract = {
+    timeline: { ts: 'ISO with meta.zone offset', cumulative: 'balance from openingBalance (0 if unknown)', order: 'ts, then statement row order' },
+    transactions: { timePrecision: "'exact' | 'date-only' (ts at start of day, no synthesized time)" },
+    dailySpending: { amount: 'expensesPositive', cumulativeClose: 'eod cumulative', net: 'deprecated' },
+    accounts: 'per-sheet; top-level fields mirror accounts[0]',
+    fx: 'with ?baseCurrency= totals/dailySpending/timeline are in baseCurrency; transactions keep original amount + amountBase',
+    periods: '?groupBy= buckets over dailySpending; cumulativeClose = end of last day; vsPrevious / vsYearAgo deltas (pct null if base is 0)',
+    forecast: '?forecastDays= daily projection after period.to: cumulative with low/high (~80%) band; active recurring + weighted trend + weekday seasonality',
+    alerts: 'amount_outlier | spending_spike | new_counterparty; transaction.index points into transactions[]; thresholds in meta.alertThresholds',
+    recurring: 'series by merchant + similar amount + weekly/monthly/quarterly interval; amounts are absolute, in account currency',
+    reconciliation: 'firstDivergence.index points into transactions[]',
+    diagnostics: 'rows skipped by the parser: row = sheet row (1-based), reason, raw cells; newestFirst statements are returned oldest-first'
+  };
+
+  return {
+    meta, account, period: primary.period,
+    dailySpending: primary.dailySpending,   // <-- с cumulativeClose
+    transactions: primary.transactions,
+    timeline: primary.timeline,             // <-- серия для графика ↑/↓
+    totals: primary.totals,
+    reconciliation: primary.reconciliation,
+    recurring: primary.recurring,
+    alerts: primary.alerts,
+    ...(groupBy ? { periods: primary.periods } : {}),
+    ...(forecastDays ? { forecast: primary.forecast } : {}),
+    accounts,
+    summary: summarizeAccounts(accounts, { baseCurrency }),
+    diagnostics: mergeDiagnostics(accounts)
+  };
+}
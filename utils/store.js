@@ -0,0 +1,195 @@
+// utils/store.js  (ESM)
+// Локальное хранилище разобранных выписок: один JSON-файл (STORE_PATH), без внешних сервисов.
+// Счета — по (банк, валюта), как в batch.mergeStatements; операции дедуплицируются между загрузками.
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import { chronological } from './cumulative.js';
+import { txFingerprint } from './batch.js';
+import { summarizeTransactions } from './statement.js';
+import { log } from './logger.js';
+
+const STORE_VERSION = 1;
+
+// поля, зависящие от запроса (курсы ?baseCurrency=), не храним
+const VOLATILE_FIELDS = ['amountBase'];
+
+export function accountId(a) {
+  return `${a.bank}|${a.currency}`;
+}
+
+function storedTx(t) {
+  const copy = { ...t };
+  for (const k of VOLATILE_FIELDS) delete copy[k];
+  return copy;
+}
+
+// сколько раз встречается каждый отпечаток — максимум по загрузкам (см. batch.mergeStatements)
+function countFingerprints(transactions) {
+  const counts = new Map();
+  for (const t of transactions) {
+    const fp = txFingerprint(t);
+    counts.set(fp, (counts.get(fp) || 0) + 1);
+  }
+  return counts;
+}
+
+function readState(file) {
+  try {
+    const data = JSON.parse(fsSync.readFileSync(file, 'utf8'));
+    if (data?.version !== STORE_VERSION || !Array.isArray(data.accounts)) throw new Error('STORE_INVALID');
+    return data;
+  } catch (e) {
+    if (e.code === 'ENOENT') return { version: STORE_VERSION, accounts: [] };
+    throw e;
+  }
+}
+
+/**
+ * file — путь к JSON-файлу хранилища (создаётся при первой записи).
+ * Состояние держим в памяти, запись на диск — последовательная, через временный файл + rename.
+ */
+export function createStore({ file }) {
+  const state = readState(file);
+  const counts = new Map(state.accounts.map(a => [a.id, countFingerprints(a.transactions)]));
+  let writing = Promise.resolve();
+
+  async function flush() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(state));
+    await fs.rename(tmp, file);
+  }
+
+  function persist() {
+    writing = writing.then(flush).catch(e => log.error('store.write_error', { file }, e));
+    return writing;
+  }
+
+  return {
+    /**
+     * Сохранить счета разбора (parseWorkbook / mergeStatements). file — имя загруженного файла
+     * (у счетов batch файлы берутся из account.sources).
+     * Операция, уже сохранённая из прошлых загрузок, не дублируется; законные повторы
+     * внутри одной загрузки сохраняются. Возвращает { added, duplicates, accounts: [{ id, added, duplicates }] }.
+     */
+    async save(accounts, { file: fileName, requestId, zone }) {
+      const report = [];
+      const storedAt = new Date().toISOString();
+      for (const account of accounts) {
+        const id = accountId(account);
+        let target = state.accounts.find(a => a.id === id);
+        if (!target) {
+          target = {
+            id,
+            bank: account.bank,
+            currency: account.currency,
+            zone,
+            sources: [],
+            openingBalance: null,
+            openingFrom: null,
+            closingBalance: null,
+            closingTo: null,
+            transactions: []
+          };
+          state.accounts.push(target);
+          counts.set(id, new Map());
+        }
+
+        const seen = counts.get(id);
+        const local = new Map();
+        let added = 0;
+        let duplicates = 0;
+        for (const t of account.transactions) {
+          const fp = txFingerprint(t);
+          const n = (local.get(fp) || 0) + 1;
+          local.set(fp, n);
+          if (n <= (seen.get(fp) || 0)) {
+            duplicates += 1;
+            continue;
+          }
+          seen.set(fp, n);
+          target.transactions.push(storedTx(t));
+          added += 1;
+        }
+        target.transactions = chronological(target.transactions, target.zone);
+
+        // входящий — из самой ранней выписки, исходящий — из самой поздней
+        const { from, to } = account.period;
+        if (account.openingBalance !== null && from && (!target.openingFrom || from < target.openingFrom)) {
+          target.openingBalance = account.openingBalance;
+          target.openingFrom = from;
+        }
+        if (account.closingBalance !== null && to && (!target.closingTo || to >= target.closingTo)) {
+          target.closingBalance = account.closingBalance;
+          target.closingTo = to;
+        }
+        const files = account.sources ? [...new Set(account.sources.map(s => s.file))] : [fileName];
+        const sheets = account.sources ? account.sources.map(s => s.sheet) : [account.sheet];
+        target.sources.push({ files, sheets, requestId, storedAt, added, duplicates });
+        report.push({ id, added, duplicates });
+      }
+      await persist();
+      return {
+        added: report.reduce((s, r) => s + r.added, 0),
+        duplicates: report.reduce((s, r) => s + r.duplicates, 0),
+        accounts: report
+      };
+    },
+
+    /**
+     * Сохранённые счета (внутренние объекты; не мутировать).
+     */
+    accounts() {
+      return state.accounts;
+    }
+  };
+}
+
+/**
+ * Фильтр операций: { from, to } — YYYY-MM-DD включительно, q — подстрока описания/контрагента
+ * (без регистра), category — точное совпадение, minAmount / maxAmount — по модулю суммы.
+ */
+export function filterTransactions(transactions, { from = null, to = null, q = null, category = null, minAmount = null, maxAmount = null } = {}) {
+  const needle = q ? String(q).toLowerCase() : null;
+  return transactions.filter(t => {
+    if (from && t.date < from) return false;
+    if (to && t.date > to) return false;
+    if (category && t.category !== category) return false;
+    const abs = Math.abs(t.amount);
+    if (minAmount !== null && abs < minAmount) return false;
+    if (maxAmount !== null && abs > maxAmount) return false;
+    if (needle) {
+      const text = [t.description, t.merchant, t.counterparty].filter(Boolean).join(' ').toLowerCase();
+      if (!text.includes(needle)) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Сохранённые счета в форме accounts[] ответа разбора (summarizeTransactions по всем операциям).
+ * zone — пояс агрегатов (null — пояс счёта из первой загрузки).
+ */
+export function buildStoredAccounts(stored, { zone = null, baseCurrency = null, rates = null } = {}) {
+  return stored.map(s => {
+    // копии: пересчёт в baseCurrency проставляет amountBase
+    const transactions = s.transactions.map(t => ({ ...t }));
+    return {
+      id: s.id,
+      sheet: [...new Set(s.sources.flatMap(src => src.sheets))].join(', '),
+      currency: s.currency,
+      bank: s.bank,
+      rows: transactions.length,
+      sources: s.sources,
+      transactions,
+      ...summarizeTransactions(transactions, {
+        currency: s.currency,
+        zone: zone || s.zone,
+        balances: { opening: s.openingBalance, closing: s.closingBalance },
+        baseCurrency,
+        rates
+      })
+    };
+  });
+}
@@ -0,0 +1,104 @@
+// utils/stream.js  (ESM)
+// Потоковая запись в Writable (HTTP-ответ, файл результата задачи) кусками с учётом backpressure:
+// большой ответ (JSON разбора, CSV выгрузки) не собирается в одну строку.
+
+const CHUNK_SIZE = 64 * 1024;
+
+const skipped = v => v === undefined || typeof v === 'function' || typeof v === 'symbol';
+
+function isFlat(obj) {
+  for (const k in obj) {
+    const v = obj[k];
+    if (v !== null && typeof v === 'object' && !(v instanceof Date)) return false;
+  }
+  return true;
+}
+
+// JSON по частям: массивы и объекты с вложенными значениями раскрываются поэлементно,
+// «плоские» объекты (транзакция, день dailySpending, точка timeline) — JSON.stringify целиком
+function* chunks(value) {
+  if (value && typeof value.toJSON === 'function') value = value.toJSON();
+  if (value === null || typeof value !== 'object' || (!Array.isArray(value) && isFlat(value))) {
+    yield JSON.stringify(value) ?? 'null';
+    return;
+  }
+  if (Array.isArray(value)) {
+    yield '[';
+    for (let i = 0; i < value.length; i++) {
+      if (i) yield ',';
+      if (skipped(value[i])) yield 'null';
+      else yield* chunks(value[i]);
+    }
+    yield ']';
+    return;
+  }
+  yield '{';
+  let first = true;
+  for (const [k, v] of Object.entries(value)) {
+    if (skipped(v)) continue;
+    yield (first ? '' : ',') + JSON.stringify(k) + ':';
+    first = false;
+    yield* chunks(v);
+  }
+  yield '}';
+}
+
+// ждём 'drain'; закрытый раньше поток (клиент отключился) — Error('STREAM_CLOSED')
+function drained(stream) {
+  return new Promise((resolve, reject) => {
+    const done = err => {
+      stream.off('drain', onDrain);
+      stream.off('close', onClose);
+      stream.off('error', done);
+      if (err) reject(err);
+      else resolve();
+    };
+    const onDrain = () => done();
+    const onClose = () => done(new Error('STREAM_CLOSED'));
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+    stream.on('error', done);
+  });
+}
+
+/**
+ * Одна запись (строка или Buffer) с ожиданием 'drain', если буфер потока переполнен.
+ */
+export async function writeChunk(stream, chunk) {
+  if (stream.destroyed) throw new Error('STREAM_CLOSED');
+  if (!stream.write(chunk)) await drained(stream);
+}
+
+/**
+ * Записать строки из pieces (итерируемое или async-итерируемое), склеивая их в куски по ~chunkSize символов.
+ * encode(text) — Buffer в нужной кодировке (по умолчанию строка пишется как UTF-8).
+ * Поток не закрывается — end() за вызывающим.
+ */
+export async function writeChunks(stream, pieces, { chunkSize = CHUNK_SIZE, encode = null } = {}) {
+  let buf = '';
+  const flush = () => {
+    const text = buf;
+    buf = '';
+    return writeChunk(stream, encode ? encode(text) : text);
+  };
+  // синхронный источник (JSON) — без лишнего await на каждый кусок
+  if (pieces[Symbol.asyncIterator]) {
+    for await (const piece of pieces) {
+      buf += piece;
+      if (buf.length >= chunkSize) await flush();
+    }
+  } else {
+    for (const piece of pieces) {
+      buf += piece;
+      if (buf.length >= chunkSize) await flush();
+    }
+  }
+  if (buf) await flush();
+}
+
+/**
+ * Записать value как JSON; результат совпадает с JSON.stringify(value).
+ */
+export function writeJson(stream, value, opts) {
+  return writeChunks(stream, chunks(value), opts);
+}
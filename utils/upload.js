@@ -0,0 +1,206 @@
+// utils/upload.js  (ESM)
+// Проверка загруженных таблиц по содержимому, а не по расширению: OLE2 (xls) / ZIP (xlsx, xlsb, ods) / текст (csv).
+// Отклоняем зашифрованные книги и книги с макросами, ограничиваем распакованный размер, число листов и ячеек.
+// Ошибки — Error('<КОД>'), статусы — в таблице PARSE_ERRORS сервера.
+import zlib from 'zlib';
+import XLSX from 'xlsx';
+
+const MB = 1024 * 1024;
+
+export const UPLOAD_LIMITS = {
+  // размер загружаемого файла (синхронные маршруты и ключи без своего maxFileMb)
+  fileBytes: (Number(process.env.UPLOAD_MAX_FILE_MB) || 20) * MB,
+  decompressedBytes: (Number(process.env.UPLOAD_MAX_DECOMPRESSED_MB) || 200) * MB,
+  sheets: Number(process.env.UPLOAD_MAX_SHEETS) || 50,
+  cells: Number(process.env.UPLOAD_MAX_CELLS) || 5000000,
+  zipEntries: 5000,
+  // во сколько раз запись zip может разжиматься (только для записей больше 1 MB)
+  compressionRatio: 200
+};
+
+const OLE2_MAGIC = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// какие виды содержимого допустимы для расширения
+const KINDS_BY_EXT = {
+  xls: ['xls', 'ooxml'],    // бывает переименованный xlsx
+  xlsx: ['ooxml'],
+  xlsb: ['ooxml'],
+  ods: ['ods'],
+  csv: ['text']
+};
+
+/**
+ * Вид контейнера по сигнатуре: 'ole2' | 'zip' | 'text' | 'unknown'.
+ */
+export function sniffContainer(buf) {
+  if (buf.length >= 8 && buf.subarray(0, 8).equals(OLE2_MAGIC)) return 'ole2';
+  if (buf.length >= 4 && buf.subarray(0, 4).equals(ZIP_MAGIC)) return 'zip';
+  // текст: без NUL в начале файла (UTF-8 / cp1251 / UTF-8 с BOM)
+  const head = buf.subarray(0, 64 * 1024);
+  if (head.length && !head.includes(0)) return 'text';
+  return 'unknown';
+}
+
+// --- ZIP: центральный каталог (размеры и флаги записей без распаковки) ---
+function zipEntries(buf) {
+  const EOCD_SIG = 0x06054b50;
+  const CD_SIG = 0x02014b50;
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIG) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('UNSUPPORTED_FILE_TYPE');
+
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  if (count > UPLOAD_LIMITS.zipEntries) throw new Error('DECOMPRESSED_TOO_LARGE');
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (p + 46 > buf.length || buf.readUInt32LE(p) !== CD_SIG) throw new Error('UNSUPPORTED_FILE_TYPE');
+    const nameLen = buf.readUInt16LE(p + 28);
+    const end = p + 46 + nameLen;
+    if (end > buf.length) throw new Error('UNSUPPORTED_FILE_TYPE');
+    entries.push({
+      name: buf.toString('utf8', p + 46, end),
+      encrypted: (buf.readUInt16LE(p + 8) & 1) === 1,
+      compressedSize: buf.readUInt32LE(p + 20),
+      size: buf.readUInt32LE(p + 24),
+      offset: buf.readUInt32LE(p + 42)
+    });
+    p = end + buf.readUInt16LE(p + 30) + buf.readUInt16LE(p + 32);
+  }
+  return entries;
+}
+
+// Фактический распакованный размер записи: размеры в каталоге задаёт автор файла, а SheetJS
+// распаковывает deflate-поток целиком — как и он, читаем данные после локального заголовка
+// до конца потока, но не больше limit байт (больше → DECOMPRESSED_TOO_LARGE)
+function inflatedSize(buf, entry, limit) {
+  const LOCAL_SIG = 0x04034b50;
+  const p = entry.offset;
+  if (p + 30 > buf.length || buf.readUInt32LE(p) !== LOCAL_SIG) throw new Error('UNSUPPORTED_FILE_TYPE');
+  const method = buf.readUInt16LE(p + 8);
+  const start = p + 30 + buf.readUInt16LE(p + 26) + buf.readUInt16LE(p + 28);
+  if (start > buf.length) throw new Error('UNSUPPORTED_FILE_TYPE');
+  // stored: SheetJS берёт compressedSize байт локального заголовка — не больше самого файла
+  if (method === 0) return Math.min(buf.readUInt32LE(p + 18), buf.length - start);
+  if (method !== 8) throw new Error('UNSUPPORTED_FILE_TYPE');
+  try {
+    return zlib.inflateRawSync(buf.subarray(start), { maxOutputLength: Math.max(limit, 1) }).length;
+  } catch (e) {
+    if (e.code === 'ERR_BUFFER_TOO_LARGE' || e instanceof RangeError) throw new Error('DECOMPRESSED_TOO_LARGE');
+    throw new Error('UNSUPPORTED_FILE_TYPE');
+  }
+}
+
+function inspectZip(buf) {
+  const entries = zipEntries(buf);
+  const names = new Set(entries.map(e => e.name));
+  let kind = null;
+  if (names.has('[Content_Types].xml')) kind = 'ooxml';
+  else if (names.has('mimetype') && names.has('content.xml')) kind = 'ods';
+  if (!kind) throw new Error('UNSUPPORTED_FILE_TYPE');
+
+  if (entries.some(e => e.encrypted)) throw new Error('ENCRYPTED_WORKBOOK');
+
+  // zip-бомба: суммарный распакованный размер и коэффициент сжатия записей —
+  // по фактически распакованным байтам, не по размерам из каталога; 0xFFFFFFFF — ZIP64 (записи больше 4 GB)
+  let total = 0;
+  for (const e of entries) {
+    if (e.size === 0xffffffff) throw new Error('DECOMPRESSED_TOO_LARGE');
+    const size = inflatedSize(buf, e, UPLOAD_LIMITS.decompressedBytes - total);
+    total += size;
+    if (size > MB && size > Math.min(e.compressedSize, buf.length) * UPLOAD_LIMITS.compressionRatio) throw new Error('DECOMPRESSED_TOO_LARGE');
+  }
+
+  const macro = kind === 'ooxml'
+    ? entries.some(e => /(^|\/)vbaProject\.bin$/i.test(e.name) || /^xl\/macrosheets\//i.test(e.name))
+    : entries.some(e => /^Basic\/[^/]+\/(?!script-lb\.xml$)[^/]+\.xml$/.test(e.name));
+  if (macro) throw new Error('MACRO_WORKBOOK');
+
+  if (kind === 'ooxml') {
+    const sheets = entries.filter(e => /^xl\/(worksheets|chartsheets)\/[^/]+\.(xml|bin)$/i.test(e.name)).length;
+    if (sheets > UPLOAD_LIMITS.sheets) throw new Error('TOO_MANY_SHEETS');
+  }
+  return kind;
+}
+
+// --- OLE2: потоки контейнера и записи BIFF глобального подпотока ---
+const BIFF_EOF = 0x000a;
+const BIFF_FILEPASS = 0x002f;
+const BIFF_BOUNDSHEET = 0x0085;
+const SHEET_MACRO = 0x01;
+const SHEET_VB_MODULE = 0x06;
+
+// Глобальный подпоток книги (до первого EOF): шифрование (FILEPASS) и листы (BOUNDSHEET)
+function scanBiffGlobals(stream) {
+  const info = { encrypted: false, sheets: 0, macroSheets: 0 };
+  let p = 0;
+  while (p + 4 <= stream.length) {
+    const type = stream.readUInt16LE(p);
+    const len = stream.readUInt16LE(p + 2);
+    if (type === BIFF_EOF) break;
+    if (type === BIFF_FILEPASS) info.encrypted = true;
+    if (type === BIFF_BOUNDSHEET && len >= 6 && p + 10 <= stream.length) {
+      info.sheets += 1;
+      const dt = stream[p + 4 + 5];
+      if (dt === SHEET_MACRO || dt === SHEET_VB_MODULE) info.macroSheets += 1;
+    }
+    p += 4 + len;
+  }
+  return info;
+}
+
+function inspectOle2(buf) {
+  let cfb;
+  try {
+    cfb = XLSX.CFB.read(buf, { type: 'buffer' });
+  } catch {
+    throw new Error('UNSUPPORTED_FILE_TYPE');
+  }
+  const names = new Set(cfb.FileIndex.map(f => f.name));
+  // зашифрованный xlsx хранится в OLE2: EncryptionInfo + EncryptedPackage
+  if (names.has('EncryptionInfo') || names.has('EncryptedPackage')) throw new Error('ENCRYPTED_WORKBOOK');
+  if (names.has('_VBA_PROJECT_CUR') || names.has('_VBA_PROJECT')) throw new Error('MACRO_WORKBOOK');
+
+  const stream = XLSX.CFB.find(cfb, 'Workbook') || XLSX.CFB.find(cfb, 'Book');
+  if (!stream?.content) throw new Error('UNSUPPORTED_FILE_TYPE');
+  const biff = scanBiffGlobals(Buffer.from(stream.content));
+  if (biff.encrypted) throw new Error('ENCRYPTED_WORKBOOK');
+  if (biff.macroSheets) throw new Error('MACRO_WORKBOOK');
+  if (biff.sheets > UPLOAD_LIMITS.sheets) throw new Error('TOO_MANY_SHEETS');
+  return 'xls';
+}
+
+/**
+ * Проверка содержимого до разбора. ext — расширение без точки (ожидаемый вид по KINDS_BY_EXT),
+ * без ext — допустима любая книга (xls / xlsx / ods). Возвращает вид: 'xls' | 'ooxml' | 'ods' | 'text'.
+ */
+export function inspectUpload(buf, { ext = null } = {}) {
+  const container = sniffContainer(buf);
+  let kind;
+  if (container === 'ole2') kind = inspectOle2(buf);
+  else if (container === 'zip') kind = inspectZip(buf);
+  else if (container === 'text') kind = 'text';
+  else throw new Error('UNSUPPORTED_FILE_TYPE');
+
+  const allowed = ext ? KINDS_BY_EXT[String(ext).toLowerCase()] : ['xls', 'ooxml', 'ods'];
+  if (!allowed?.includes(kind)) throw new Error('UNSUPPORTED_FILE_TYPE');
+  return kind;
+}
+
+/**
+ * Ограничения уже прочитанной книги: число листов и непустых ячеек.
+ */
+export function assertWorkbookLimits(wb) {
+  if (wb.SheetNames.length > UPLOAD_LIMITS.sheets) throw new Error('TOO_MANY_SHEETS');
+  let cells = 0;
+  for (const name of wb.SheetNames) {
+    for (const addr in wb.Sheets[name]) {
+      if (addr[0] !== '!') cells += 1;
+    }
+    if (cells > UPLOAD_LIMITS.cells) throw new Error('TOO_MANY_CELLS');
+  }
+}
@@ -0,0 +1,72 @@
+// workers/parseWorker.js  (ESM)
+// Фоновый разбор выписки для очереди задач (utils/jobs.js): читает загруженный файл,
+// пишет JSON-результат в resultPath, прогресс и итог — сообщениями родителю.
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import { finished } from 'stream/promises';
+import { parentPort, workerData } from 'worker_threads';
+import { buildParseResult, openStatement, parseWorkbook } from '../utils/statement.js';
+import { resolveRates } from '../utils/fx.js';
+import { resolveRules } from '../utils/categorize.js';
+import { assertStrict } from '../utils/diagnostics.js';
+import { resolveRegion } from '../utils/locale.js';
+import { resolveWeekStart } from '../utils/periods.js';
+import { writeJson } from '../utils/stream.js';
+
+const { filePath, resultPath, file, requestId, options } = workerData;
+const { bank, sheet, tz, locale: localeTag, groupBy, weekStart, alertThresholds, forecastDays, baseCurrency, ratesCsv, rulesJson, strict, dateOnly } = options;
+
+const progress = (value, stage) => parentPort.postMessage({ type: 'progress', progress: Number(value.toFixed(2)), stage });
+
+async function run() {
+  const started = Date.now();
+  progress(0, 'reading');
+  const { wb, detected, profile, sheets } = openStatement(await fs.readFile(filePath), { bank, sheet });
+  const { zone, locale } = resolveRegion(profile, { tz, locale: localeTag });
+  const rates = baseCurrency ? await resolveRates(ratesCsv) : null;
+  const rules = await resolveRules(rulesJson);
+
+  // 10% — чтение книги, 80% — листы, 10% — запись результата
+  progress(0.1, 'parsing');
+  const { accounts, skippedSheets } = parseWorkbook(wb, {
+    profile, zone, locale, sheets, baseCurrency, rates, rules, dateOnly, release: true,
+    onProgress: (done, total) => progress(0.1 + 0.8 * done / total, 'parsing')
+  });
+  if (!accounts.length) throw new Error('HEADER_NOT_FOUND');
+  if (strict) assertStrict(accounts);
+
+  progress(0.9, 'writing');
+  const result = buildParseResult({
+    accounts,
+    skippedSheets,
+    detected,
+    file,
+    requestId,
+    zone,
+    locale,
+    parseMs: Date.now() - started,
+    baseCurrency,
+    rates,
+    groupBy,
+    weekStart: resolveWeekStart(weekStart, locale),
+    alertThresholds,
+    forecastDays
+  });
+  // результат пишем потоком — без полной JSON-строки в памяти воркера
+  const out = fsSync.createWriteStream(resultPath);
+  try {
+    await writeJson(out, result);
+  } finally {
+    out.end();
+  }
+  await finished(out);
+  parentPort.postMessage({
+    type: 'done',
+    rows: result.meta.rows,
+    parseMs: result.meta.parseMs,
+    bank: profile.id,
+    skipped: result.diagnostics.counts
+  });
+}
+
+run().catch(e => parentPort.postMessage({ type: 'error', error: e?.message || 'PARSE_FAILED', rows: e?.rows || null }));